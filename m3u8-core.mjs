@@ -0,0 +1,3339 @@
+/**
+ * M3U8 Proxy and Filter core shared by the JavaScript entrypoints
+ * (node.js, _worker.js, worker-cache.js, edgeone.js)
+ * 
+ * Pipeline: parse -> resolve URIs -> filter -> rewrite to proxies -> serialize,
+ * all on the playlist model of parsePlaylist(). The core never touches a
+ * platform API directly; every entrypoint passes in:
+ * - a fetch adapter: fetch(url, { headers, redirect: 'manual', signal }) resolving to a Response-like
+ *   object ({ ok, status, statusText, url, headers.get(), text() }, plus an optional streaming
+ *   body.getReader() used to sniff only the first bytes); an error it rejects with may carry
+ *   the HTTP status to answer with (e.g. 504 on timeouts). The signal aborts the fetch and
+ *   its body at the request's FETCH_DEADLINE.
+ * - a cache adapter: { get(key), put(key, value, ttlSeconds), delete(key) } storing strings
+ * - optionally waitUntil(promise), keeping background work such as a rule subscription
+ *   refresh alive after the response is sent (Workers, EdgeOne)
+ * 
+ * handleRequest() returns a plain { status, headers, body } result that the
+ * entrypoint turns into its own response type.
+ */
+
+// Default configuration, entrypoints override what they need
+export const DEFAULT_CONFIG = {
+  PROXY_URL: '',                                 // Main proxy URL (leave empty for direct fetch)
+  PROXY_URLENCODE: true,                         // Whether to URL-encode target URLs
+  
+  PROXY_TS: '',                                  // TS segment proxy URL (leave empty for direct segments)
+  PROXY_TS_URLENCODE: true,                      // Whether to URL-encode TS URLs
+  
+  PROXY_POOL: [],                                // Playlist proxies { url, urlencode, weight }, replaces PROXY_URL when set
+  PROXY_TS_POOL: [],                             // Segment proxies { url, urlencode, weight }, replaces PROXY_TS when set
+  PROXY_POOL_STRATEGY: 'round-robin',            // 'round-robin' or 'weighted' (random, proportional to weight)
+  PROXY_POOL_MAX_FAILURES: 3,                    // Consecutive failures that take a proxy out of rotation
+  PROXY_POOL_COOLDOWN: 60,                       // Seconds an unhealthy proxy stays out of rotation
+  PROXY_POOL_DIRECT_FALLBACK: false,             // Fetch directly when every proxy failed
+  
+  TS_RELAY: false,                               // Point segments at a built-in relay route (takes precedence over PROXY_TS)
+  TS_RELAY_PATH: '/ts/',                         // Route prefix of the built-in relay
+  
+  CACHE_TTL: 86400,                              // Cache TTL in seconds for VOD (24 hours)
+  LIVE_DEFAULT_TARGET_DURATION: 10,              // Assumed target duration of live playlists without one
+  
+  MAX_RECURSION: 5,                              // Max recursion for nested playlists
+  MAX_REDIRECTS: 5,                              // Max upstream redirects followed per fetch
+  FETCH_RETRIES: 2,                              // Retries of a fetch after network errors, 5xx and 429 answers
+  FETCH_RETRY_DELAY: 500,                        // Delay before the first retry in milliseconds, doubled on each retry
+  FETCH_RETRY_MAX_DELAY: 10000,                  // Longest wait between retries, Retry-After included, in milliseconds
+  FETCH_DEADLINE: 30000,                         // Time budget of a request's upstream fetches in milliseconds; no retry, mirror or variant starts past it
+  VARIANT_FAILURE_TTL: 60,                       // Seconds a variant that failed is tried after the others
+  MASTER_PLAYLIST_MODE: 'ladder',                // 'ladder' keeps every variant, 'select' collapses to one variant
+  FILTER_DISCONTINUITY: false,                   // Whether to filter discontinuity markers
+  FILTER_ADS_INTELLIGENTLY: true,                // Whether 智能过滤
+  FILTER_REGEX: null,
+  FILTER_HEURISTICS: true,                       // Run the statistical/block analysis after the regex (false: regex only)
+  FILTER_MARKERS: true,                          // Remove breaks signalled by CUE-OUT/CUE-IN, SCTE35 and DATERANGE tags first
+  AD_DATERANGE_CLASSES: [],                      // DATERANGE CLASS values that mark ad content, besides SCTE35-OUT
+  AD_FINGERPRINTS: false,                        // Remember short blocks in the cache and drop those seen across playlists
+  AD_FINGERPRINT_MIN_PLAYLISTS: 3,               // Distinct playlists a block must appear in to count as an ad
+  AD_FINGERPRINT_TTL: 604800,                    // How long block fingerprints are kept, in seconds (7 days)
+  STREAM_STATE_PERSIST_INTERVAL: 0,              // Seconds between cache writes of a live stream's state (0: every refresh, -1: memory only)
+  AD_SCORE_THRESHOLD: 0.65,                      // Base score at which a single segment is removed as an ad
+  AD_SEGMENT_WEIGHTS: {                          // Weight of each single-segment signal
+    duration: 0.6,                               // Duration far from the playlist's average
+    position: 0.3,                               // Short segment at the start or end
+    discontinuity: 0.1                           // Preceded by a discontinuity
+  },
+  MIN_SEGMENT_DURATION: 1.0,                     // Segments shorter than this (past the first few) are removed
+  AD_DURATIONS: [],                              // Segment durations (seconds) that identify ads on a source
+  FILTER_RULES: [],                              // Per-source rule sets, see README (first match wins)
+  FILTER_RULES_URL: '',                          // JSON rule subscription appended after FILTER_RULES (leave empty to disable)
+  FILTER_RULES_REFRESH: 3600,                    // Subscription refresh interval in seconds
+  FILTER_RULES_TIMEOUT: 10000,                   // Time budget of a subscription fetch in milliseconds, retries included
+  AD_BLOCK_DETECTION: true,                      // Judge whole discontinuity blocks instead of single segments
+  AD_BLOCK_THRESHOLD: 0.6,                       // Score at which a discontinuity block is removed as an ad
+  AD_BLOCK_MAX_DURATION: 120,                    // Blocks up to this many seconds count as short
+  AD_BLOCK_WEIGHTS: {                            // Weight of each block signal, scores add up to 1
+    host: 0.2,                                   // Served from another host than the main content
+    path: 0.3,                                   // Lives in another directory
+    pattern: 0.3,                                // Uses another file naming pattern
+    duration: 0.1,                               // Short block
+    count: 0.1                                   // Holds at most a tenth of the main content's segments
+  },
+  
+  USER_AGENTS: [
+    'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Safari/605.1.15'
+  ],
+  
+  ADMIN_TOKEN: '',                               // Token for the /admin/ routes (leave empty to disable them)
+  
+  DEBUG: false                                   // Enable debug logging
+};
+
+// Longest filter regex accepted from a request
+const FILTER_REGEX_MAX_LENGTH = 200;
+
+// Most ways the bounded quantifiers (?, {n,m}) of a filter regex may multiply backtracking
+const FILTER_REGEX_MAX_REPETITIONS = 64;
+
+// Filter stages selected by the 'filter' request parameter and rule field (the regex always applies)
+const FILTER_MODES = {
+  off: { FILTER_ADS_INTELLIGENTLY: false },
+  smart: { FILTER_ADS_INTELLIGENTLY: true, FILTER_HEURISTICS: true },
+  markers: { FILTER_ADS_INTELLIGENTLY: true, FILTER_MARKERS: true, FILTER_HEURISTICS: false },
+  regex: { FILTER_ADS_INTELLIGENTLY: true, FILTER_MARKERS: false, FILTER_HEURISTICS: false }
+};
+
+// Bytes of a body read to sniff its type before the rest is downloaded or cancelled
+const PROBE_SIZE = 4096;
+
+// Media content types to check
+const MEDIA_CONTENT_TYPES = [
+  // Video types
+  'video/', 
+  // Audio types
+  'audio/',
+  // Image types
+  'image/'
+];
+
+// Configuration objects merged over their defaults key by key, like the weights of a site rule
+const MERGED_CONFIG_KEYS = ['AD_SEGMENT_WEIGHTS', 'AD_BLOCK_WEIGHTS'];
+
+/**
+ * Create a proxy instance bound to a configuration and platform adapters
+ */
+export function createM3u8Proxy(config, adapters = {}) {
+  const merged = { ...DEFAULT_CONFIG, ...config };
+  for (const key of MERGED_CONFIG_KEYS) {
+    merged[key] = { ...DEFAULT_CONFIG[key], ...config[key] };
+  }
+  
+  const ctx = {
+    config: merged,
+    fetch: adapters.fetch || ((url, init) => fetch(url, init)),
+    cache: adapters.cache,
+    waitUntil: adapters.waitUntil || (() => {})
+  };
+  
+  return {
+    config: ctx.config,
+    handleRequest: request => handleRequest(request, ctx)
+  };
+}
+
+/**
+ * Main request handler
+ */
+async function handleRequest(request, ctx) {
+  const { config } = ctx;
+  
+  try {
+    const url = parseRequestUrl(request);
+    
+    // Admin routes
+    if (url.pathname.startsWith('/admin/')) {
+      return await handleAdminRequest(request, url, ctx);
+    }
+    
+    // Filter corrections, protected by the admin token as well
+    if (url.pathname === '/feedback') {
+      return await handleFeedbackRequest(request, url, ctx);
+    }
+    
+    // Extract target URL, ?url=a&url=b lists mirrors of the same content
+    const targetUrls = getTargetUrls(url);
+    const targetUrl = targetUrls[0];
+    if (!targetUrl) {
+      return createResponse(
+        "Please provide an M3U8 URL via the 'url' parameter or /m3u8filter/URL path", 
+        400, 
+        { "Content-Type": "text/plain" }
+      );
+    }
+    
+    // Filter options of this request override the configuration
+    const filterOptions = getFilterOptions(url);
+    if (filterOptions.error) {
+      return createResponse(filterOptions.error, 400, { "Content-Type": "text/plain" });
+    }
+    
+    // Local rules first, then the subscribed ones
+    const subscription = await loadSubscribedRules(ctx);
+    
+    // Explain requests report the filter decisions as JSON and bypass the cache
+    const report = url.searchParams.get('explain') === '1' ? { url: targetUrl } : null;
+    const requestCtx = {
+      ...ctx,
+      filterOverrides: filterOptions.overrides,
+      filterRules: subscription ? [...config.FILTER_RULES, ...subscription.rules] : config.FILTER_RULES,
+      filterQuery: filterOptions.query,
+      report,
+      selectedVariant: null,
+      filteredPlaylist: null,
+      feedbackRecords: new Map(),
+      deadline: Date.now() + config.FETCH_DEADLINE,
+      fallbacks: 0
+    };
+    
+    // Check cache, keyed by the variant choice and filter options as well
+    const preferences = getVariantPreferences(url);
+    const variantKey = serializeVariantPreferences(preferences);
+    const cacheKey = await getPlaylistCacheKey(targetUrl, requestCtx, variantKey, filterOptions.query);
+    const cachedContent = report ? null : await getCacheSafely(ctx, cacheKey);
+    
+    // Only a master playlist collapsed to one variant, or a list of mirrors, can be filtered
+    // from another playlist than the one the key names
+    const collapses = config.MASTER_PLAYLIST_MODE !== 'ladder' || variantKey;
+    const source = cachedContent && (collapses || (config.ADMIN_TOKEN && targetUrls.length > 1))
+      ? await loadPlaylistSource(cacheKey, ctx)
+      : null;
+    if (cachedContent && (!source || await isSourceCurrent(source, requestCtx))) {
+      if (config.DEBUG) console.log(`[Cache hit] ${targetUrl}`);
+      return { ...createM3u8Response(cachedContent, config, source && source.variant), cached: true };
+    }
+    
+    // Process the M3U8 URL
+    if (config.DEBUG) console.log(`[Processing] ${targetUrl}`);
+    
+    // Fetch and validate content, media files are recognized from their first bytes
+    const { type, content, url: finalUrl, mirror } = await fetchFromMirrors(targetUrls, requestCtx, probeContent);
+    
+    // Check if content is actually an M3U8 file
+    if (type !== 'playlist') {
+      // Not an M3U8 file, check if it's a media file
+      if (type === 'media') {
+        if (config.DEBUG) console.log(`[Media file detected] Redirecting to TS proxy: ${mirror}`);
+        return createRedirect(proxyTsUrl(mirror, config));
+      } else {
+        // Not a media file, redirect to original URL
+        if (config.DEBUG) console.log(`[Not media content] Redirecting to original URL: ${mirror}`);
+        return createRedirect(mirror);
+      }
+    }
+    
+    // Process the M3U8 content
+    const processed = await processM3u8Content(mirror, content, 0, requestCtx, preferences, finalUrl);
+    
+    if (report) {
+      return createJsonResponse(report);
+    }
+    
+    // Cache the result, with the variant a master playlist was collapsed to and the playlist
+    // it was filtered from when that is not the one the key names
+    const ttl = getPlaylistCacheTtl(processed, config);
+    await putCacheSafely(ctx, cacheKey, processed, ttl);
+    const filteredElsewhere = requestCtx.filteredPlaylist && requestCtx.filteredPlaylist !== targetUrl;
+    if (requestCtx.selectedVariant || (config.ADMIN_TOKEN && filteredElsewhere)) {
+      const source = {
+        variant: requestCtx.selectedVariant,
+        playlist: requestCtx.filteredPlaylist,
+        feedback: requestCtx.filteredPlaylist && await getFeedbackVersion(requestCtx.filteredPlaylist, requestCtx)
+      };
+      await putCacheSafely(ctx, getPlaylistSourceKey(cacheKey), JSON.stringify(source), ttl);
+    }
+    
+    return createM3u8Response(processed, config, requestCtx.selectedVariant);
+    
+  } catch (error) {
+    console.error(`[Error] ${error.message}`);
+    return createResponse(
+      `Error processing request: ${error.message}`, 
+      error.status || 500, 
+      { "Content-Type": "text/plain" }
+    );
+  }
+}
+
+/**
+ * Parse the URL of an incoming request, a malformed one is answered with 400
+ */
+function parseRequestUrl(request) {
+  try {
+    return new URL(request.url);
+  } catch (e) {
+    const error = new Error(`Invalid request URL: ${request.url}`);
+    error.status = 400;
+    throw error;
+  }
+}
+
+// ==================== Rule subscription ====================
+
+// Last loaded subscription record per URL, shared by the proxy instances of this process/isolate
+const ruleSubscriptions = new Map();
+
+// Refreshes in flight per URL, so concurrent requests trigger a single fetch
+const ruleRefreshes = new Map();
+
+// Subscription records outlive their refresh interval so a failed refresh can fall back to them
+const RULE_SUBSCRIPTION_CACHE_TTL = 30 * 86400;
+
+/**
+ * Get the record of the configured rule subscription, refreshing it when due:
+ * { url, version, fetchedAt, checkedAt, rules, error }
+ * Only the first load and a forced refresh are waited for; otherwise the previous record is
+ * returned while the refresh runs in the background. A failed refresh keeps the last good
+ * rules in use. Returns null without a subscription.
+ */
+async function loadSubscribedRules(ctx, force = false) {
+  const { config } = ctx;
+  const subscriptionUrl = config.FILTER_RULES_URL;
+  if (!subscriptionUrl) return null;
+  
+  const isFresh = record => record && Date.now() - record.checkedAt < config.FILTER_RULES_REFRESH * 1000;
+  
+  let record = ruleSubscriptions.get(subscriptionUrl) || null;
+  if (!force && isFresh(record)) return record;
+  
+  // Another instance may already have refreshed the shared cache
+  if (!force) {
+    try {
+      const cached = await ctx.cache.get(getRuleSubscriptionKey(subscriptionUrl));
+      if (cached) {
+        record = JSON.parse(cached);
+        ruleSubscriptions.set(subscriptionUrl, record);
+        if (isFresh(record)) return record;
+      }
+    } catch (error) {
+      console.error(`[Rules] Cache read failed: ${error.message}`);
+    }
+  }
+  
+  if (!ruleRefreshes.has(subscriptionUrl)) {
+    const refresh = refreshSubscribedRules(ctx, record)
+      .finally(() => ruleRefreshes.delete(subscriptionUrl));
+    ruleRefreshes.set(subscriptionUrl, refresh);
+    ctx.waitUntil(refresh);
+  }
+  
+  if (record && !force) return record;
+  return await ruleRefreshes.get(subscriptionUrl);
+}
+
+/**
+ * Fetch the subscription and store the new record, or the previous one marked with the error
+ */
+async function refreshSubscribedRules(ctx, previous) {
+  const subscriptionUrl = ctx.config.FILTER_RULES_URL;
+  const checkedAt = Date.now();
+  let record;
+  
+  try {
+    // The subscription gets its own time budget, retries included
+    const timeout = ctx.config.FILTER_RULES_TIMEOUT;
+    const { content } = await fetchContentWithType(subscriptionUrl, {
+      ...ctx,
+      config: { ...ctx.config, FETCH_DEADLINE: timeout },
+      deadline: checkedAt + timeout
+    });
+    const data = JSON.parse(content);
+    
+    record = {
+      url: subscriptionUrl,
+      version: (data && data.version) || new Date(checkedAt).toISOString(),
+      fetchedAt: checkedAt,
+      checkedAt,
+      rules: parseSubscribedRules(data),
+      error: null
+    };
+    if (ctx.config.DEBUG) console.log(`[Rules] Loaded ${record.rules.length} rules, version ${record.version}`);
+  } catch (error) {
+    console.error(`[Rules] Refresh failed, keeping the last good rules: ${error.message}`);
+    record = previous
+      ? { ...previous, checkedAt, error: error.message }
+      : { url: subscriptionUrl, version: null, fetchedAt: null, checkedAt, rules: [], error: error.message };
+  }
+  
+  ruleSubscriptions.set(subscriptionUrl, record);
+  try {
+    await ctx.cache.put(getRuleSubscriptionKey(subscriptionUrl), JSON.stringify(record), RULE_SUBSCRIPTION_CACHE_TTL);
+  } catch (error) {
+    console.error(`[Rules] Cache write failed: ${error.message}`);
+  }
+  
+  return record;
+}
+
+// Ranges of the numeric rule fields a subscription may set
+const RULE_NUMBER_RANGES = {
+  threshold: [0.1, 1],
+  scoreThreshold: [0.1, 1],
+  blockThreshold: [0.1, 1],
+  minSegment: [0, 10],
+  maxBlockDuration: [1, 3600]
+};
+
+/**
+ * Validate the rules of a subscription document ({ version, rules: [...] } or a bare array).
+ * Rules from a third-party list get the same regex checks as request parameters and every
+ * field is type-checked; a document without a single valid rule counts as a failed refresh.
+ */
+function parseSubscribedRules(data) {
+  const rules = Array.isArray(data) ? data : (data && data.rules);
+  if (!Array.isArray(rules)) {
+    throw new Error('Subscription has no rules array');
+  }
+  
+  const valid = rules.filter(rule => {
+    const error = validateSubscribedRule(rule);
+    if (error) {
+      const name = rule && typeof rule === 'object' ? (rule.name || rule.host || rule.pattern) : rule;
+      console.warn(`[Rules] Skipping rule ${name}: ${error}`);
+      return false;
+    }
+    return true;
+  });
+  
+  if (valid.length === 0) {
+    throw new Error('Subscription has no valid rules');
+  }
+  return valid;
+}
+
+/**
+ * Check one subscribed rule, returns an error message or null
+ */
+function validateSubscribedRule(rule) {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'not an object';
+  }
+  
+  for (const field of ['name', 'host', 'pattern', 'regex']) {
+    if (rule[field] !== undefined && (typeof rule[field] !== 'string' || rule[field] === '')) {
+      return `${field} must be a non-empty string`;
+    }
+  }
+  if (!rule.host && !rule.pattern) {
+    return 'no host or pattern';
+  }
+  
+  for (const field of ['pattern', 'regex']) {
+    const error = rule[field] ? validateFilterRegex(rule[field]) : null;
+    if (error) return error;
+  }
+  
+  for (const [field, [min, max]] of Object.entries(RULE_NUMBER_RANGES)) {
+    if (rule[field] !== undefined &&
+        !(typeof rule[field] === 'number' && rule[field] >= min && rule[field] <= max)) {
+      return `${field} must be a number between ${min} and ${max}`;
+    }
+  }
+  
+  if (rule.filter !== undefined && !Object.prototype.hasOwnProperty.call(FILTER_MODES, rule.filter)) {
+    return `filter must be one of ${Object.keys(FILTER_MODES).join(', ')}`;
+  }
+  if (rule.mode !== undefined && !['blocks', 'segments'].includes(rule.mode)) {
+    return 'mode must be blocks or segments';
+  }
+  
+  if (rule.durations !== undefined &&
+      !(Array.isArray(rule.durations) && rule.durations.every(duration => typeof duration === 'number' && duration > 0))) {
+    return 'durations must be positive numbers';
+  }
+  if (rule.weights !== undefined && !isWeightMap(rule.weights)) {
+    return 'weights must be an object of numbers between 0 and 1';
+  }
+  if (rule.segmentWeights !== undefined && !isWeightMap(rule.segmentWeights)) {
+    return 'segmentWeights must be an object of numbers between 0 and 1';
+  }
+  
+  return null;
+}
+
+/**
+ * Check that a value is an object mapping signal names to weights between 0 and 1
+ */
+function isWeightMap(weights) {
+  return Boolean(weights) && typeof weights === 'object' && !Array.isArray(weights) &&
+    Object.values(weights).every(weight => typeof weight === 'number' && weight >= 0 && weight <= 1);
+}
+
+/**
+ * Cache key of a subscription record
+ */
+function getRuleSubscriptionKey(subscriptionUrl) {
+  return `rules:${subscriptionUrl}`;
+}
+
+/**
+ * Admin route showing the active subscription, ?refresh=1 forces a refresh
+ */
+async function handleRulesAdmin(request, url, ctx) {
+  const { config } = ctx;
+  const record = await loadSubscribedRules(ctx, url.searchParams.get('refresh') === '1');
+  const toDate = time => time ? new Date(time).toISOString() : null;
+  
+  return createJsonResponse({
+    localRules: config.FILTER_RULES.length,
+    subscription: record && {
+      url: record.url,
+      version: record.version,
+      fetchedAt: toDate(record.fetchedAt),
+      checkedAt: toDate(record.checkedAt),
+      refreshInterval: config.FILTER_RULES_REFRESH,
+      error: record.error,
+      ruleCount: record.rules.length,
+      rules: record.rules
+    }
+  });
+}
+
+/**
+ * Check the admin token of a request (Authorization: Bearer, X-Admin-Token or ?token=)
+ */
+function isAdminRequest(request, url, config) {
+  if (!config.ADMIN_TOKEN) return false;
+  
+  const authorization = request.headers.get('Authorization') || '';
+  const token = authorization.replace(/^Bearer\s+/i, '') ||
+    request.headers.get('X-Admin-Token') ||
+    url.searchParams.get('token');
+  
+  return token === config.ADMIN_TOKEN;
+}
+
+// ==================== Filter feedback ====================
+
+// Feedback entries are corrections made by hand, keep them for a year
+const FEEDBACK_CACHE_TTL = 365 * 86400;
+
+// Largest feedback request body accepted
+const FEEDBACK_MAX_BODY = 64 * 1024;
+
+/**
+ * POST /feedback: record segments or blocks of a media playlist that were wrongly dropped
+ * (action "allow") or wrongly kept (action "deny"), or "clear" all entries of the playlist.
+ * Body: { url, action, segments: [segment URLs], blocks: [block indexes from explain] }
+ * The time of the correction is the playlist's feedback version: the cache keys of the
+ * playlist and the source records of results filtered from it depend on it, so only results
+ * of this playlist are filtered again.
+ */
+async function handleFeedbackRequest(request, url, ctx) {
+  const { config } = ctx;
+  if (!config.ADMIN_TOKEN) {
+    return createResponse('Not found', 404, { "Content-Type": "text/plain" });
+  }
+  if (!isAdminRequest(request, url, config)) {
+    return createResponse('Forbidden', 403, { "Content-Type": "text/plain" });
+  }
+  if (request.method !== 'POST') {
+    return createResponse('Method not allowed', 405, { "Content-Type": "text/plain", "Allow": "POST" });
+  }
+  
+  let body;
+  try {
+    const text = await request.text();
+    if (text.length > FEEDBACK_MAX_BODY) throw new Error('Body too large');
+    body = JSON.parse(text);
+  } catch (e) {
+    return createJsonResponse({ error: `Invalid feedback body: ${e.message}` }, 400);
+  }
+  
+  const error = validateFeedback(body);
+  if (error) {
+    return createJsonResponse({ error }, 400);
+  }
+  
+  const playlistUrl = new URL(body.url).href;
+  const record = await loadFilterFeedback(playlistUrl, ctx) || createFeedbackRecord();
+  if (body.action === 'clear') {
+    Object.assign(record, createFeedbackRecord());
+  } else {
+    // An entry lives on one list only, the latest correction wins
+    const opposite = body.action === 'allow' ? 'deny' : 'allow';
+    const segments = body.segments || [];
+    const blocks = body.blocks || [];
+    record[body.action].segments = [...new Set([...record[body.action].segments, ...segments])];
+    record[body.action].blocks = [...new Set([...record[body.action].blocks, ...blocks])];
+    record[opposite].segments = record[opposite].segments.filter(segment => !segments.includes(segment));
+    record[opposite].blocks = record[opposite].blocks.filter(block => !blocks.includes(block));
+  }
+  record.updatedAt = Date.now();
+  
+  await ctx.cache.put(getFeedbackKey(playlistUrl), JSON.stringify(record), FEEDBACK_CACHE_TTL);
+  
+  return createJsonResponse({
+    url: playlistUrl,
+    allow: record.allow,
+    deny: record.deny,
+    updatedAt: new Date(record.updatedAt).toISOString()
+  });
+}
+
+/**
+ * Validate a feedback body, returning an error message or null
+ */
+function validateFeedback(body) {
+  if (!body || typeof body !== 'object') return 'Feedback must be a JSON object';
+  
+  try {
+    if (!/^https?:$/.test(new URL(body.url).protocol)) throw new Error();
+  } catch (e) {
+    return "'url' must be the http(s) URL of a media playlist";
+  }
+  
+  if (!['allow', 'deny', 'clear'].includes(body.action)) {
+    return "'action' must be allow, deny or clear";
+  }
+  if (body.action === 'clear') return null;
+  
+  const segments = body.segments || [];
+  const blocks = body.blocks || [];
+  if (!Array.isArray(segments) || !segments.every(segment => typeof segment === 'string')) {
+    return "'segments' must be an array of segment URLs";
+  }
+  if (!Array.isArray(blocks) || !blocks.every(block => Number.isInteger(block) && block >= 0)) {
+    return "'blocks' must be an array of block indexes";
+  }
+  if (segments.length + blocks.length === 0) {
+    return "Give the wrongly filtered 'segments' or 'blocks'";
+  }
+  
+  return null;
+}
+
+/**
+ * Create an empty feedback record
+ */
+function createFeedbackRecord() {
+  return {
+    allow: { segments: [], blocks: [] },
+    deny: { segments: [], blocks: [] },
+    updatedAt: null
+  };
+}
+
+/**
+ * Load the feedback record of a media playlist, or null when there is none.
+ * Records are read once per request (ctx.feedbackRecords).
+ */
+async function loadFilterFeedback(playlistUrl, ctx) {
+  if (ctx.feedbackRecords && ctx.feedbackRecords.has(playlistUrl)) {
+    return ctx.feedbackRecords.get(playlistUrl);
+  }
+  
+  let record = null;
+  try {
+    const cached = await ctx.cache.get(getFeedbackKey(playlistUrl));
+    record = cached ? JSON.parse(cached) : null;
+  } catch (e) {
+    console.warn(`[Feedback] Ignoring unreadable entry of ${playlistUrl}: ${e.message}`);
+  }
+  if (ctx.feedbackRecords) ctx.feedbackRecords.set(playlistUrl, record);
+  return record;
+}
+
+/**
+ * Version of a playlist's feedback: the time of its latest correction, null without one
+ * or while feedback is disabled (no ADMIN_TOKEN)
+ */
+async function getFeedbackVersion(playlistUrl, ctx) {
+  if (!ctx.config.ADMIN_TOKEN) return null;
+  const record = await loadFilterFeedback(playlistUrl, ctx);
+  return record && record.updatedAt ? String(record.updatedAt) : null;
+}
+
+/**
+ * Cache key of a processed playlist. The feedback version of the playlist is part of it,
+ * so a correction leaves the results cached before it behind whatever key they were cached
+ * under. The variable parts are hashed, a request regex alone would outgrow the key size of
+ * Workers KV (512 bytes).
+ */
+async function getPlaylistCacheKey(url, ctx, ...parts) {
+  const version = await getFeedbackVersion(url, ctx);
+  const variable = [...parts, version ? `feedback=${version}` : ''].filter(Boolean);
+  return variable.length > 0 ? `m3u8:${url}|${hashString(variable.join('|'))}` : `m3u8:${url}`;
+}
+
+/**
+ * Cache key of the feedback record of a media playlist
+ */
+function getFeedbackKey(playlistUrl) {
+  return `feedback:${playlistUrl}`;
+}
+
+// ==================== Upstream proxy pools ====================
+
+// Health of each proxy by URL, shared by the proxy instances of this process/isolate
+const proxyHealth = new Map();
+
+// Round-robin position per pool
+const proxyPoolPositions = new Map();
+
+/**
+ * Get the playlist ('playlist') or segment ('segment') proxy pool, a single PROXY_URL or
+ * PROXY_TS counts as a pool of one
+ */
+function getProxyPool(config, kind) {
+  const [pool, url, urlencode] = kind === 'segment'
+    ? [config.PROXY_TS_POOL, config.PROXY_TS, config.PROXY_TS_URLENCODE]
+    : [config.PROXY_POOL, config.PROXY_URL, config.PROXY_URLENCODE];
+  
+  if (pool && pool.length > 0) return pool;
+  return url ? [{ url, urlencode }] : [];
+}
+
+/**
+ * Order the members of a proxy pool for one fetch: healthy proxies by PROXY_POOL_STRATEGY,
+ * then null for a direct fetch when PROXY_POOL_DIRECT_FALLBACK is set. Proxies cooling down
+ * are only tried when nothing else is left. An empty pool means a direct fetch.
+ */
+export function selectProxies(pool, config) {
+  const candidates = pool.filter(proxy => proxy && proxy.url && (proxy.weight === undefined || proxy.weight > 0));
+  if (candidates.length === 0) return [null];
+  
+  const now = Date.now();
+  const isCoolingDown = proxy => {
+    const health = proxyHealth.get(proxy.url);
+    return Boolean(health && health.downUntil > now);
+  };
+  
+  let ordered;
+  if (config.PROXY_POOL_STRATEGY === 'weighted') {
+    // Weighted shuffle: the larger the weight, the likelier a proxy comes first
+    ordered = candidates
+      .map(proxy => ({ proxy, key: Math.pow(Math.random(), 1 / (proxy.weight || 1)) }))
+      .sort((a, b) => b.key - a.key)
+      .map(entry => entry.proxy);
+  } else {
+    const poolKey = candidates.map(proxy => proxy.url).join(' ');
+    const position = proxyPoolPositions.get(poolKey) || 0;
+    proxyPoolPositions.set(poolKey, (position + 1) % candidates.length);
+    ordered = [...candidates.slice(position), ...candidates.slice(0, position)];
+  }
+  
+  const healthy = ordered.filter(proxy => !isCoolingDown(proxy));
+  if (config.PROXY_POOL_DIRECT_FALLBACK) return [...healthy, null];
+  return healthy.length > 0 ? healthy : ordered;
+}
+
+/**
+ * Build the URL that fetches target through a pool member, null fetches directly
+ */
+export function applyProxy(target, proxy) {
+  if (!proxy) return target;
+  return proxy.urlencode === false ? `${proxy.url}${target}` : `${proxy.url}${encodeURIComponent(target)}`;
+}
+
+/**
+ * Record the outcome of a fetch through a proxy. PROXY_POOL_MAX_FAILURES consecutive failures
+ * take it out of rotation for PROXY_POOL_COOLDOWN seconds; once back, a single failure does again.
+ */
+export function reportProxyResult(proxy, config, error = null) {
+  if (!proxy) return;
+  
+  const health = proxyHealth.get(proxy.url) || {
+    successes: 0, failures: 0, totalFailures: 0, downUntil: 0, lastError: null, lastFailure: 0
+  };
+  
+  if (error) {
+    health.failures++;
+    health.totalFailures++;
+    health.lastError = error.message || String(error);
+    health.lastFailure = Date.now();
+    if (health.failures >= config.PROXY_POOL_MAX_FAILURES) {
+      health.downUntil = Date.now() + config.PROXY_POOL_COOLDOWN * 1000;
+      if (config.DEBUG) console.log(`[Proxy pool] ${proxy.url} out of rotation: ${health.lastError}`);
+    }
+  } else {
+    health.successes++;
+    health.failures = 0;
+    health.downUntil = 0;
+  }
+  
+  proxyHealth.set(proxy.url, health);
+}
+
+/**
+ * Health of both pools, as shown by /admin/proxies
+ */
+function getProxyPoolStatus(config) {
+  const toDate = time => time ? new Date(time).toISOString() : null;
+  const describe = pool => pool.map(proxy => {
+    const health = proxyHealth.get(proxy.url) || { successes: 0, failures: 0, totalFailures: 0, downUntil: 0 };
+    return {
+      url: proxy.url,
+      urlencode: proxy.urlencode !== false,
+      weight: proxy.weight === undefined ? 1 : proxy.weight,
+      healthy: !(health.downUntil > Date.now()),
+      downUntil: health.downUntil > Date.now() ? toDate(health.downUntil) : null,
+      consecutiveFailures: health.failures,
+      successes: health.successes,
+      failures: health.totalFailures,
+      lastError: health.lastError || null,
+      lastFailure: toDate(health.lastFailure)
+    };
+  });
+  
+  return {
+    strategy: config.PROXY_POOL_STRATEGY,
+    maxFailures: config.PROXY_POOL_MAX_FAILURES,
+    cooldown: config.PROXY_POOL_COOLDOWN,
+    directFallback: config.PROXY_POOL_DIRECT_FALLBACK,
+    playlist: describe(getProxyPool(config, 'playlist')),
+    segment: describe(getProxyPool(config, 'segment'))
+  };
+}
+
+/**
+ * Check whether a failed fetch is worth another try and counts against the proxy: network
+ * errors, timeouts and 5xx answers do, errors about the content (e.g. 413) do not
+ */
+function isTransientError(error) {
+  return !error.status || error.status >= 500;
+}
+
+// ==================== Playlist model (RFC 8216) ====================
+
+// Tags describing the whole playlist; every other tag belongs to the next URI line
+const PLAYLIST_TAGS = new Set([
+  'EXT-X-VERSION', 'EXT-X-INDEPENDENT-SEGMENTS', 'EXT-X-START', 'EXT-X-DEFINE',
+  // Media playlist tags
+  'EXT-X-TARGETDURATION', 'EXT-X-MEDIA-SEQUENCE', 'EXT-X-DISCONTINUITY-SEQUENCE', 'EXT-X-ENDLIST',
+  'EXT-X-PLAYLIST-TYPE', 'EXT-X-I-FRAMES-ONLY', 'EXT-X-PART-INF', 'EXT-X-SERVER-CONTROL', 'EXT-X-SKIP',
+  'EXT-X-ALLOW-CACHE',
+  // Master playlist tags
+  'EXT-X-MEDIA', 'EXT-X-I-FRAME-STREAM-INF', 'EXT-X-SESSION-DATA', 'EXT-X-SESSION-KEY', 'EXT-X-CONTENT-STEERING'
+]);
+
+// Tags whose value is an attribute list
+const ATTRIBUTE_LIST_TAGS = new Set([
+  'EXT-X-KEY', 'EXT-X-MAP', 'EXT-X-DATERANGE', 'EXT-X-PART', 'EXT-X-PRELOAD-HINT', 'EXT-X-RENDITION-REPORT',
+  'EXT-X-SKIP', 'EXT-X-START', 'EXT-X-DEFINE', 'EXT-X-PART-INF', 'EXT-X-SERVER-CONTROL',
+  'EXT-X-MEDIA', 'EXT-X-STREAM-INF', 'EXT-X-I-FRAME-STREAM-INF', 'EXT-X-SESSION-DATA', 'EXT-X-SESSION-KEY',
+  'EXT-X-CONTENT-STEERING', 'EXT-X-SCTE35'
+]);
+
+// What the URI attribute of a tag points at: a playlist, or a segment-like resource
+const URI_TAG_TARGETS = {
+  'EXT-X-KEY': 'segment',
+  'EXT-X-SESSION-KEY': 'segment',
+  'EXT-X-MAP': 'segment',
+  'EXT-X-PART': 'segment',
+  'EXT-X-PRELOAD-HINT': 'segment',
+  'EXT-X-SESSION-DATA': 'segment',
+  'EXT-X-MEDIA': 'playlist',
+  'EXT-X-I-FRAME-STREAM-INF': 'playlist',
+  'EXT-X-RENDITION-REPORT': 'playlist'
+};
+
+/**
+ * Parse playlist text into a model:
+ * { master, tags, variants (master) | segments (media), trailingTags }
+ * Each variant/segment is { tags, uri } holding the tags that precede its URI line,
+ * segments also carry their EXTINF duration. Tags are { name, value, attributes, quoted }.
+ */
+function parsePlaylist(content) {
+  const lines = content.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const tags = [];
+  const items = [];
+  let pending = [];
+  
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    if (!line) continue;
+    
+    if (line.startsWith('#')) {
+      // Plain comments carry no meaning
+      if (!/^#EXT/i.test(line)) continue;
+      
+      const tag = parseTag(line);
+      if (tag.name === 'EXTM3U') continue;
+      
+      if (PLAYLIST_TAGS.has(tag.name)) {
+        tags.push(tag);
+      } else {
+        pending.push(tag);
+      }
+      continue;
+    }
+    
+    items.push({ tags: pending, uri: line });
+    pending = [];
+  }
+  
+  const master = items.some(item => hasTag(item.tags, 'EXT-X-STREAM-INF')) ||
+    hasTag(tags, 'EXT-X-I-FRAME-STREAM-INF');
+  
+  if (master) {
+    return { master, tags, variants: items, trailingTags: pending };
+  }
+  
+  const segments = items.map(item => {
+    const extinf = getTag(item.tags, 'EXTINF');
+    return { ...item, duration: extinf ? parseFloat(extinf.value) || 0 : 0 };
+  });
+  
+  return { master, tags, segments, trailingTags: pending };
+}
+
+/**
+ * Parse a tag line, tag and attribute names are case-insensitive
+ */
+function parseTag(line) {
+  const colon = line.indexOf(':');
+  const name = (colon === -1 ? line.slice(1) : line.slice(1, colon)).trim().toUpperCase();
+  const value = colon === -1 ? null : line.slice(colon + 1).trim();
+  
+  const tag = { name, value, attributes: null, quoted: [] };
+  if (value !== null && ATTRIBUTE_LIST_TAGS.has(name)) {
+    const parsed = parseAttributeList(value);
+    if (parsed) {
+      tag.attributes = parsed.attributes;
+      tag.quoted = parsed.quoted;
+    }
+  }
+  
+  return tag;
+}
+
+/**
+ * Parse an attribute list, returns null when the text is not a valid list
+ * so the tag is passed through untouched
+ */
+function parseAttributeList(text) {
+  const pattern = /\s*([A-Za-z0-9_-]+)\s*=\s*(?:"([^"]*)"|([^,"]*))\s*(?:,|$)/y;
+  const attributes = {};
+  const quoted = [];
+  
+  while (pattern.lastIndex < text.length) {
+    const match = pattern.exec(text);
+    if (!match) return null;
+    
+    const name = match[1].toUpperCase();
+    if (match[2] !== undefined) {
+      attributes[name] = match[2];
+      quoted.push(name);
+    } else {
+      attributes[name] = match[3].trim();
+    }
+  }
+  
+  return { attributes, quoted };
+}
+
+/**
+ * Serialize a playlist model back to text
+ */
+function serializePlaylist(playlist) {
+  const lines = ['#EXTM3U'];
+  
+  for (const tag of playlist.tags) {
+    if (tag.name !== 'EXT-X-ENDLIST') lines.push(formatTag(tag));
+  }
+  
+  for (const item of getPlaylistItems(playlist)) {
+    for (const tag of item.tags) {
+      lines.push(formatTag(tag));
+    }
+    lines.push(item.uri);
+  }
+  
+  for (const tag of playlist.trailingTags) {
+    lines.push(formatTag(tag));
+  }
+  
+  // ENDLIST always closes the playlist
+  if (hasTag(playlist.tags, 'EXT-X-ENDLIST')) {
+    lines.push('#EXT-X-ENDLIST');
+  }
+  
+  return lines.join('\n');
+}
+
+/**
+ * Format a tag line
+ */
+function formatTag(tag) {
+  let value = tag.value;
+  if (tag.attributes) {
+    value = Object.keys(tag.attributes)
+      .map(name => tag.quoted.includes(name)
+        ? `${name}="${tag.attributes[name]}"`
+        : `${name}=${tag.attributes[name]}`)
+      .join(',');
+  }
+  
+  return value === null ? `#${tag.name}` : `#${tag.name}:${value}`;
+}
+
+/**
+ * Get the URI entries of a playlist: variant streams or media segments
+ */
+function getPlaylistItems(playlist) {
+  return playlist.master ? playlist.variants : playlist.segments;
+}
+
+/**
+ * Find the first tag with the given name
+ */
+function getTag(tags, name) {
+  return tags.find(tag => tag.name === name) || null;
+}
+
+/**
+ * Check if a tag with the given name is present
+ */
+function hasTag(tags, name) {
+  return tags.some(tag => tag.name === name);
+}
+
+/**
+ * Remove every segment tag with the given name
+ */
+function removeSegmentTags(playlist, name) {
+  for (const item of getPlaylistItems(playlist)) {
+    item.tags = item.tags.filter(tag => tag.name !== name);
+  }
+  playlist.trailingTags = playlist.trailingTags.filter(tag => tag.name !== name);
+}
+
+/**
+ * Create a tag
+ */
+function createTag(name, value = null) {
+  return { name, value, attributes: null, quoted: [] };
+}
+
+/**
+ * Copy a tag so it can be placed on another segment
+ */
+function cloneTag(tag) {
+  return {
+    ...tag,
+    attributes: tag.attributes && { ...tag.attributes },
+    quoted: [...tag.quoted]
+  };
+}
+
+/**
+ * Drop the media segments the predicate rejects without breaking playback:
+ * the effective EXT-X-KEY, EXT-X-MAP, byte range offset and PROGRAM-DATE-TIME
+ * are carried forward to the next kept segment, and a DISCONTINUITY is inserted
+ * where a removed run leaves a timestamp gap between kept segments.
+ */
+function retainSegments(playlist, keep) {
+  const kept = [];
+  
+  // State in effect at the current segment of the original playlist
+  let keyTags = [];
+  let mapTag = null;
+  let programTime = null;
+  let previous = null;
+  let previousRange = null;
+  
+  // State the output has announced so far
+  let emittedKeyTags = [];
+  let emittedMapTag = null;
+  let removedBefore = false;
+  
+  playlist.segments.forEach((segment, index) => {
+    const ownKeyTags = segment.tags.filter(tag => tag.name === 'EXT-X-KEY');
+    if (ownKeyTags.length > 0) keyTags = ownKeyTags;
+    mapTag = getTag(segment.tags, 'EXT-X-MAP') || mapTag;
+    
+    const dateTag = getTag(segment.tags, 'EXT-X-PROGRAM-DATE-TIME');
+    if (dateTag && !isNaN(Date.parse(dateTag.value))) {
+      programTime = Date.parse(dateTag.value);
+    } else if (programTime !== null && previous) {
+      programTime += previous.duration * 1000;
+    }
+    
+    // A byte range without an offset starts where the previous range of the same resource ended
+    const rangeTag = getTag(segment.tags, 'EXT-X-BYTERANGE');
+    let range = null;
+    if (rangeTag) {
+      const [length, offset] = rangeTag.value.split('@').map(Number);
+      const start = offset !== undefined && !isNaN(offset)
+        ? offset
+        : (previousRange && previousRange.uri === segment.uri ? previousRange.end : 0);
+      range = { uri: segment.uri, length, start, end: start + length };
+    }
+    
+    previous = segment;
+    previousRange = range;
+    
+    if (!keep(segment, index)) {
+      removedBefore = true;
+      return;
+    }
+    
+    const carried = [];
+    if (removedBefore) {
+      if (kept.length > 0 && !hasTag(segment.tags, 'EXT-X-DISCONTINUITY')) {
+        carried.push(createTag('EXT-X-DISCONTINUITY'));
+      }
+      if (!dateTag && programTime !== null) {
+        carried.push(createTag('EXT-X-PROGRAM-DATE-TIME', new Date(programTime).toISOString()));
+      }
+      if (range && !rangeTag.value.includes('@')) {
+        rangeTag.value = `${range.length}@${range.start}`;
+      }
+    }
+    
+    if (ownKeyTags.length === 0 && keyTags !== emittedKeyTags) {
+      carried.push(...keyTags.map(cloneTag));
+    }
+    if (!hasTag(segment.tags, 'EXT-X-MAP') && mapTag && mapTag !== emittedMapTag) {
+      carried.push(cloneTag(mapTag));
+    }
+    
+    emittedKeyTags = keyTags;
+    emittedMapTag = mapTag;
+    removedBefore = false;
+    
+    segment.tags = [...carried, ...segment.tags];
+    kept.push(segment);
+  });
+  
+  playlist.segments = kept;
+}
+
+/**
+ * Give every segment whose media sequence number no longer matches its upstream one
+ * (segments removed before it, live renumbering) an explicit IV. An identity EXT-X-KEY
+ * without IV decrypts with the media sequence number (RFC 8216 5.2), so a clone of the key
+ * in effect pinning the upstream number is placed on the segment. Once a pinned key is in
+ * effect every following segment under that key needs its own.
+ */
+function pinKeyIvs(playlist, sequences) {
+  const first = getSequenceTag(playlist, 'EXT-X-MEDIA-SEQUENCE');
+  let keyTags = [];
+  let pinned = false;
+  
+  playlist.segments.forEach((segment, index) => {
+    const ownKeyTags = segment.tags.filter(tag => tag.name === 'EXT-X-KEY');
+    if (ownKeyTags.length > 0) {
+      keyTags = ownKeyTags;
+      pinned = false;
+    }
+    
+    const sequence = sequences.get(segment);
+    if (!keyTags.some(usesSequenceIv) || (!pinned && sequence === first + index)) return;
+    
+    const pinnedTags = keyTags.map(tag => {
+      const clone = cloneTag(tag);
+      if (usesSequenceIv(tag)) {
+        clone.attributes.IV = `0x${sequence.toString(16).padStart(32, '0')}`;
+      }
+      return clone;
+    });
+    segment.tags = [...pinnedTags, ...segment.tags.filter(tag => tag.name !== 'EXT-X-KEY')];
+    pinned = true;
+  });
+}
+
+/**
+ * Check if an EXT-X-KEY takes its IV from the media sequence number
+ */
+function usesSequenceIv(tag) {
+  const attributes = tag.attributes;
+  return Boolean(attributes) && Boolean(attributes.METHOD) && attributes.METHOD.toUpperCase() !== 'NONE' &&
+    !attributes.IV && (!attributes.KEYFORMAT || attributes.KEYFORMAT === 'identity');
+}
+
+/**
+ * Check if a media playlist is live: no ENDLIST and not of type VOD
+ */
+function isLivePlaylist(playlist) {
+  const type = getTag(playlist.tags, 'EXT-X-PLAYLIST-TYPE');
+  return !hasTag(playlist.tags, 'EXT-X-ENDLIST') && !(type && /^VOD$/i.test(type.value));
+}
+
+/**
+ * Read a numeric playlist tag such as EXT-X-MEDIA-SEQUENCE, 0 when absent
+ */
+function getSequenceTag(playlist, name) {
+  const tag = getTag(playlist.tags, name);
+  return tag ? parseInt(tag.value, 10) || 0 : 0;
+}
+
+/**
+ * Set a playlist tag, adding it when missing
+ */
+function setPlaylistTag(playlist, name, value) {
+  const tag = getTag(playlist.tags, name);
+  if (tag) {
+    tag.value = String(value);
+  } else {
+    playlist.tags.push(createTag(name, String(value)));
+  }
+}
+
+/**
+ * Apply a mapper to every URI line and URI attribute of a playlist.
+ * The mapper receives the URI and its target ('playlist' or 'segment').
+ */
+function mapPlaylistUris(playlist, mapper) {
+  const mapTags = tags => {
+    for (const tag of tags) {
+      const target = URI_TAG_TARGETS[tag.name];
+      if (target && tag.attributes && tag.attributes.URI) {
+        tag.attributes.URI = mapper(tag.attributes.URI, target);
+      }
+    }
+  };
+  
+  mapTags(playlist.tags);
+  for (const item of getPlaylistItems(playlist)) {
+    mapTags(item.tags);
+    item.uri = mapper(item.uri, playlist.master ? 'playlist' : 'segment');
+  }
+  mapTags(playlist.trailingTags);
+}
+
+/**
+ * Resolve every URI of a playlist against the playlist URL
+ */
+function resolvePlaylistUris(playlist, url) {
+  const baseUrl = getBaseUrl(url);
+  mapPlaylistUris(playlist, uri => resolveUrl(baseUrl, uri));
+}
+
+/**
+ * Point every URI of a resolved playlist at the proxies: playlists back through
+ * this filter (keeping the request's filter options), segments, keys and init
+ * sections through the TS proxy
+ */
+function proxyPlaylistUris(playlist, ctx) {
+  mapPlaylistUris(playlist, (uri, target) => {
+    // data: and skd:// URIs are not fetched over HTTP
+    if (!/^https?:\/\//i.test(uri)) return uri;
+    
+    return target === 'playlist'
+      ? proxyPlaylistUrl(uri, ctx.filterQuery)
+      : proxyTsUrl(uri, ctx.config);
+  });
+}
+
+/**
+ * Dispatch admin routes, all of them require the admin token
+ */
+async function handleAdminRequest(request, url, ctx) {
+  if (!ctx.config.ADMIN_TOKEN) {
+    return createResponse('Not found', 404, { "Content-Type": "text/plain" });
+  }
+  if (!isAdminRequest(request, url, ctx.config)) {
+    return createResponse('Forbidden', 403, { "Content-Type": "text/plain" });
+  }
+  
+  if (url.pathname === '/admin/rules') {
+    return await handleRulesAdmin(request, url, ctx);
+  }
+  if (url.pathname === '/admin/proxies') {
+    return createJsonResponse(getProxyPoolStatus(ctx.config));
+  }
+  
+  return createResponse('Not found', 404, { "Content-Type": "text/plain" });
+}
+
+/**
+ * 超级M3U8广告算法过滤器
+ * @param {object} playlist - 解析后的媒体播放列表（分片URL已解析为绝对地址，原地修改）
+ * @param {object} config - 过滤配置（FILTER_REGEX、AD_BLOCK_* 等）
+ * @param {object|null} report - 可选，传入时写入统计量和每个片段的得分与决策（explain）
+ * @param {object} signals - 可选的外部信号：adFingerprints 已在多个播放列表中出现的块指纹，feedback 人工反馈记录，
+ *                           live 直播流之前刷新的决策和历史时长（见 getLiveSignals()）
+ * @return {object} 过滤后的播放列表
+ */
+function SuperFilterAdsFromM3U8(playlist, config, report = null, { adFingerprints = null, feedback = null, live = null } = {}) {
+    if (!playlist || playlist.master) return playlist;
+    
+    // ==================== 第一阶段：预处理 ====================
+    // 1. 解析M3U8结构
+    const allSegments = parseM3U8Structure(playlist);
+    if (allSegments.length === 0) return playlist;
+    
+    // 2. 显式广告标记（CUE-OUT/CUE-IN、SCTE35、DATERANGE），标记区间内的片段直接移除
+    const matchedRules = new Map();
+    if (config.FILTER_MARKERS) {
+        findMarkedAdSegments(allSegments, config)
+            .forEach(index => matchedRules.set(index, 'marker'));
+    }
+    
+    // 3. 跨播放列表指纹：在多个播放列表中重复出现的块整体移除
+    if (adFingerprints && adFingerprints.size > 0) {
+        getBlockFingerprints(allSegments, config)
+            .filter(item => item.fingerprints.some(fingerprint => adFingerprints.has(fingerprint)))
+            .forEach(item => item.block.segments.forEach(segment =>
+                matchedRules.has(segment.index) || matchedRules.set(segment.index, 'fingerprint')));
+    }
+    
+    // 4. 正则和时长特征过滤，记录命中的规则
+    if (config.FILTER_REGEX) {
+        applyRegexFilter(allSegments, config.FILTER_REGEX)
+            .forEach(index => matchedRules.has(index) || matchedRules.set(index, 'regex'));
+    }
+    if (config.AD_DURATIONS && config.AD_DURATIONS.length > 0) {
+        applyDurationFilter(allSegments, config.AD_DURATIONS)
+            .forEach(index => matchedRules.has(index) || matchedRules.set(index, 'duration'));
+    }
+    
+    // 5. 人工反馈：允许的分片不受上面规则影响，块序号对应 explain 报告中的块
+    const overrides = feedback ? resolveFeedback(feedback, allSegments, matchedRules) : new Map();
+    
+    // 6. 直播：之前刷新已决策的分片沿用原决策，不随窗口统计量变化
+    if (live) {
+        allSegments.forEach(segment => {
+            const decision = live.decisions.get(live.mediaSequence + segment.index);
+            if (decision && !overrides.has(segment.index) && !matchedRules.has(segment.index)) {
+                overrides.set(segment.index, { decision, rule: 'live-history' });
+            }
+        });
+    }
+    
+    // 所有分片都命中规则（如 regex=ts 这样过宽的正则）时，不输出也不缓存空列表，原样保留分片
+    const segments = allSegments.filter(segment => !matchedRules.has(segment.index));
+    if (segments.length === 0) {
+        console.warn(`[Filter] Every segment matched a filter rule, keeping all ${allSegments.length} segments`);
+        if (report) {
+            buildFilterReport(report, config, {
+                allSegments, matchedRules: new Map(), overrides: new Map(), analyzedSegments: [], blocks: [], stats: null,
+                filteredSegments: allSegments
+            });
+            report.warning = 'Every segment matched a filter rule, the playlist is served unfiltered';
+        }
+        return rebuildM3U8(playlist, allSegments, config);
+    }
+    
+    // 只做标记和正则过滤
+    if (!config.FILTER_HEURISTICS) {
+        const filteredSegments = segments.filter(segment => !isOverriddenDrop(overrides, segment));
+        if (report) {
+            buildFilterReport(report, config, {
+                allSegments, matchedRules, overrides, analyzedSegments: [], blocks: [], stats: null, filteredSegments
+            });
+        }
+        return rebuildM3U8(playlist, filteredSegments, config);
+    }
+    
+    // ==================== 第二阶段：科学分析 ====================
+    // 1. 计算基础统计量，直播叠加历史时长，新分片只计入一次
+    const stats = calculateSegmentStats(live && live.history.length > 0
+        ? [...live.history.map(duration => ({ duration })), ...segments.filter(segment => !overrides.has(segment.index))]
+        : segments);
+    
+    // 2. 多维度广告检测
+    const analyzedSegments = analyzeSegments(segments, stats, config);
+    
+    // 3. 不连续块检测，有多个块时按块整体决策
+    const blocks = config.AD_BLOCK_DETECTION ? analyzeDiscontinuityBlocks(segments, config) : [];
+    
+    // 4. 智能过滤决策
+    const filteredSegments = blocks.length > 0
+        ? applyBlockDecision(analyzedSegments, blocks, overrides)
+        : applyFilterDecision(analyzedSegments, stats, config, overrides);
+    
+    if (report) {
+        buildFilterReport(report, config, {
+            allSegments, matchedRules, overrides, analyzedSegments, blocks, stats, filteredSegments
+        });
+    }
+    
+    // ==================== 第三阶段：重建M3U8 ====================
+    return rebuildM3U8(playlist, filteredSegments, config);
+}
+
+// ==================== 辅助函数 ====================
+
+/**
+ * 应用正则过滤：返回URL匹配的片段序号
+ */
+function applyRegexFilter(segments, regexFilter) {
+    try {
+        const regex = new RegExp(regexFilter, 'i');
+        return new Set(segments.filter(segment => regex.test(segment.url)).map(segment => segment.index));
+    } catch (e) {
+        console.warn('正则过滤失败:', e);
+        return new Set();
+    }
+}
+
+/**
+ * 显式广告标记检测：返回广告时段内的片段序号
+ * 支持 EXT-X-CUE-OUT/CUE-OUT-CONT/CUE-IN、EXT-X-SCTE35 和带 SCTE35-OUT 或广告 CLASS 的 EXT-X-DATERANGE
+ */
+function findMarkedAdSegments(segments, config) {
+    const marked = new Set();
+    const ranges = collectAdDateRanges(segments, config);
+    let inBreak = false;
+    let remaining = null;    // 广告剩余时长，未知时一直持续到结束标记
+    let programTime = null;
+    
+    for (const item of segments) {
+        const dateTag = getTag(item.segment.tags, 'EXT-X-PROGRAM-DATE-TIME');
+        if (dateTag && !isNaN(Date.parse(dateTag.value))) {
+            programTime = Date.parse(dateTag.value);
+        }
+        
+        // 同一片段上先结束上一段广告，再开始下一段
+        for (const tag of item.segment.tags) {
+            const signal = getAdMarkerSignal(tag, config, ranges.length > 0 && programTime !== null);
+            if (signal && signal.type === 'in') {
+                inBreak = false;
+                remaining = null;
+            }
+        }
+        for (const tag of item.segment.tags) {
+            const signal = getAdMarkerSignal(tag, config, ranges.length > 0 && programTime !== null);
+            if (signal && (signal.type === 'out' || (signal.type === 'cont' && !inBreak))) {
+                inBreak = true;
+                remaining = signal.remaining;
+            }
+        }
+        
+        const inRange = programTime !== null &&
+            ranges.some(range => programTime >= range.start && programTime < range.end);
+        if (inBreak || inRange) {
+            marked.add(item.index);
+        }
+        
+        // 按时长结束的广告，留0.1秒误差
+        if (inBreak && remaining !== null) {
+            remaining -= item.duration;
+            if (remaining < 0.1) {
+                inBreak = false;
+                remaining = null;
+            }
+        }
+        
+        if (programTime !== null) {
+            programTime += item.duration * 1000;
+        }
+    }
+    
+    return marked;
+}
+
+/**
+ * 解析单个广告标记：out 开始（remaining 为时长）、cont 广告进行中、in 结束；不是广告标记返回null
+ * 有节目时间时 DATERANGE 按时间区间匹配，这里不再按位置处理
+ */
+function getAdMarkerSignal(tag, config, dateRangesByTime) {
+    const value = tag.value || '';
+    
+    switch (tag.name) {
+        case 'EXT-X-CUE-OUT': {
+            // #EXT-X-CUE-OUT:30 或 #EXT-X-CUE-OUT:DURATION=30
+            const match = value.match(/(?:^|DURATION=)([\d.]+)/i);
+            return { type: 'out', remaining: match ? parseFloat(match[1]) : null };
+        }
+        case 'EXT-X-CUE-OUT-CONT': {
+            // #EXT-X-CUE-OUT-CONT:ElapsedTime=10,Duration=30 或 #EXT-X-CUE-OUT-CONT:10/30
+            const elapsed = value.match(/ElapsedTime=([\d.]+)/i) || value.match(/^([\d.]+)\//);
+            const duration = value.match(/Duration=([\d.]+)/i) || value.match(/^[\d.]+\/([\d.]+)/);
+            const remaining = elapsed && duration ? parseFloat(duration[1]) - parseFloat(elapsed[1]) : null;
+            return { type: 'cont', remaining };
+        }
+        case 'EXT-X-CUE-IN':
+            return { type: 'in' };
+        case 'EXT-X-SCTE35': {
+            const attributes = tag.attributes || {};
+            const cueOut = String(attributes['CUE-OUT'] || '').toUpperCase();
+            if (String(attributes['CUE-IN'] || '').toUpperCase() === 'YES') return { type: 'in' };
+            if (cueOut === 'YES') {
+                const duration = parseFloat(attributes.DURATION);
+                return { type: 'out', remaining: isNaN(duration) ? null : duration };
+            }
+            if (cueOut === 'CONT') return { type: 'cont', remaining: null };
+            return null;
+        }
+        case 'EXT-X-DATERANGE': {
+            const attributes = tag.attributes || {};
+            if (dateRangesByTime) return null;
+            if ('SCTE35-IN' in attributes) return { type: 'in' };
+            if (!isAdDateRange(tag, config)) return null;
+            const duration = parseFloat(attributes.DURATION || attributes['PLANNED-DURATION']);
+            return { type: 'out', remaining: isNaN(duration) ? null : duration };
+        }
+        default:
+            return null;
+    }
+}
+
+/**
+ * 收集广告 DATERANGE 的时间区间（毫秒），结束时间来自 DURATION、PLANNED-DURATION、END-DATE，
+ * 或之后同 ID 带 SCTE35-IN / END-DATE 的 DATERANGE
+ */
+function collectAdDateRanges(segments, config) {
+    const ranges = new Map();
+    
+    for (const item of segments) {
+        for (const tag of item.segment.tags) {
+            if (tag.name !== 'EXT-X-DATERANGE' || !tag.attributes) continue;
+            const attributes = tag.attributes;
+            const id = attributes.ID;
+            const start = Date.parse(attributes['START-DATE']);
+            let end = Date.parse(attributes['END-DATE']);
+            const duration = parseFloat(attributes.DURATION || attributes['PLANNED-DURATION']);
+            if (isNaN(end) && !isNaN(start) && !isNaN(duration)) {
+                end = start + duration * 1000;
+            }
+            
+            const range = ranges.get(id);
+            if (range) {
+                if (!isNaN(end)) range.end = end;
+                else if ('SCTE35-IN' in attributes && !isNaN(start)) range.end = start;
+            } else if (!isNaN(start) && isAdDateRange(tag, config)) {
+                ranges.set(id, { start, end: isNaN(end) ? Infinity : end });
+            }
+        }
+    }
+    
+    return [...ranges.values()];
+}
+
+/**
+ * DATERANGE 是否标记广告：带 SCTE35-OUT，或 CLASS 在 AD_DATERANGE_CLASSES 中
+ */
+function isAdDateRange(tag, config) {
+    const attributes = tag.attributes || {};
+    if ('SCTE35-OUT' in attributes) return true;
+    const classes = config.AD_DATERANGE_CLASSES || [];
+    return Boolean(attributes.CLASS) && classes.includes(attributes.CLASS);
+}
+
+/**
+ * 去掉播放列表中的广告标记标签，广告 DATERANGE 连同之后同 ID 的补充标签一起去掉
+ */
+function stripAdMarkers(playlist, config) {
+    const markerTags = new Set([
+        'EXT-X-CUE-OUT', 'EXT-X-CUE-OUT-CONT', 'EXT-X-CUE-IN', 'EXT-X-SCTE35', 'EXT-OATCLS-SCTE35', 'EXT-X-ASSET'
+    ]);
+    const allTags = getPlaylistItems(playlist).flatMap(item => item.tags).concat(playlist.trailingTags);
+    const adRangeIds = new Set(allTags
+        .filter(tag => tag.name === 'EXT-X-DATERANGE' && tag.attributes && isAdDateRange(tag, config))
+        .map(tag => tag.attributes.ID));
+    const isMarker = tag => markerTags.has(tag.name) ||
+        (tag.name === 'EXT-X-DATERANGE' && Boolean(tag.attributes) && (
+            adRangeIds.has(tag.attributes.ID) || 'SCTE35-IN' in tag.attributes || 'SCTE35-CMD' in tag.attributes));
+    
+    for (const item of getPlaylistItems(playlist)) {
+        item.tags = item.tags.filter(tag => !isMarker(tag));
+    }
+    playlist.trailingTags = playlist.trailingTags.filter(tag => !isMarker(tag));
+}
+
+/**
+ * 时长特征过滤：返回时长与任一特征值相同（误差1毫秒内）的片段序号
+ */
+function applyDurationFilter(segments, durations) {
+    return new Set(segments
+        .filter(segment => durations.some(duration => Math.abs(segment.duration - duration) < 0.001))
+        .map(segment => segment.index));
+}
+
+/**
+ * 深度解析M3U8结构
+ */
+function parseM3U8Structure(playlist) {
+    return playlist.segments.map((segment, index) => ({
+        index,
+        duration: segment.duration,
+        url: segment.uri,
+        hasDiscontinuity: hasTag(segment.tags, 'EXT-X-DISCONTINUITY'),
+        hasMap: hasTag(segment.tags, 'EXT-X-MAP'),
+        segment,
+        isAd: false,  // 初始标记
+        adScore: 0    // 广告概率得分
+    }));
+}
+
+/**
+ * 计算高级统计量
+ */
+function calculateSegmentStats(segments) {
+    const durations = segments.map(s => s.duration);
+    const totalDuration = durations.reduce((sum, d) => sum + d, 0);
+    const avgDuration = totalDuration / durations.length;
+    
+    // 计算标准差和百分位数
+    const squaredDiffs = durations.map(d => Math.pow(d - avgDuration, 2));
+    const stdDev = Math.sqrt(squaredDiffs.reduce((sum, sd) => sum + sd, 0) / durations.length);
+    
+    // 排序后的时长数组用于百分位计算
+    const sortedDurations = [...durations].sort((a, b) => a - b);
+    const p10 = sortedDurations[Math.floor(durations.length * 0.1)];
+    const p90 = sortedDurations[Math.floor(durations.length * 0.9)];
+    
+    return {
+        avgDuration,
+        stdDev,
+        p10,
+        p90,
+        totalDuration,
+        segmentCount: segments.length,
+        durationRange: [sortedDurations[0], sortedDurations[sortedDurations.length - 1]]
+    };
+}
+
+/**
+ * 多维度片段分析
+ */
+function analyzeSegments(segments, stats, config) {
+    const { avgDuration, stdDev, p10, p90 } = stats;
+    const weights = config.AD_SEGMENT_WEIGHTS;
+    
+    return segments.map(segment => {
+        const deviation = Math.abs(segment.duration - avgDuration);
+        const zScore = deviation / stdDev;
+        
+        // 1. 时长异常检测
+        const durationAbnormality = Math.min(1, zScore / 3); // 0-1范围
+        
+        // 2. 位置异常检测（开头/结尾的短片段更可能是广告）
+        let positionFactor = 0;
+        if (segment.index < 3 && segment.duration < p10) {
+            positionFactor = 0.8; // 开头的短片段很可疑
+        } else if (segment.index > segments.length - 3 && segment.duration < p10) {
+            positionFactor = 0.5; // 结尾的短片段中等可疑
+        }
+        
+        // 3. 不连续标记检测
+        const discontinuityFactor = segment.hasDiscontinuity ? 0.3 : 0;
+        
+        // 综合广告概率，权重见 AD_SEGMENT_WEIGHTS
+        const adScore = Math.min(1, 
+            (durationAbnormality * (weights.duration || 0)) + 
+            (positionFactor * (weights.position || 0)) + 
+            (discontinuityFactor * (weights.discontinuity || 0))
+        );
+        
+        return {
+            ...segment,
+            adScore,
+            isAd: adScore > config.AD_SCORE_THRESHOLD, // 阈值可调整
+            stats: { deviation, zScore },
+            factors: { durationAbnormality, positionFactor, discontinuityFactor }
+        };
+    });
+}
+
+/**
+ * 智能过滤决策
+ */
+function applyFilterDecision(segments, stats, config, overrides) {
+    const dynamicThreshold = getDynamicThreshold(stats, config);
+    return segments.filter(segment => !getDropRule(segment, dynamicThreshold, config, overrides));
+}
+
+/**
+ * 动态调整阈值
+ */
+function getDynamicThreshold(stats, config) {
+    const { avgDuration, stdDev } = stats;
+    const baseThreshold = config.AD_SCORE_THRESHOLD;
+    
+    // 在基础阈值上下0.15范围内浮动
+    return Math.min(baseThreshold + 0.15, Math.max(baseThreshold - 0.15, 
+        baseThreshold - (stdDev / avgDuration) * 0.2
+    ));
+}
+
+/**
+ * 判断片段命中的移除规则，保留时返回null
+ */
+function getDropRule(segment, dynamicThreshold, config, overrides) {
+    // 人工反馈和直播历史决策优先于评分
+    if (overrides.has(segment.index)) {
+        return isOverriddenDrop(overrides, segment) ? overrides.get(segment.index).rule : null;
+    }
+    
+    // 明确广告标记
+    if (segment.isAd && segment.adScore > dynamicThreshold) {
+        return 'ad-score';
+    }
+    
+    // 极短片段过滤（默认<1秒且不在开头）
+    if (segment.duration < config.MIN_SEGMENT_DURATION && segment.index > 3) {
+        return 'short-segment';
+    }
+    
+    // 默认保留
+    return null;
+}
+
+/**
+ * 不连续块广告检测
+ * 插播广告通常是两个 #EXT-X-DISCONTINUITY 之间的一段分片，按块与正片比较：
+ * 域名、路径前缀、文件名模式、块时长、分片数，得分达到阈值的块整体移除
+ */
+function analyzeDiscontinuityBlocks(segments, config) {
+    const blocks = groupDiscontinuityBlocks(segments);
+    if (blocks.length < 2) return [];
+    
+    // 总时长最长的块视为正片，正片块从不拆分也不移除
+    const main = findMainBlock(blocks);
+    const weights = config.AD_BLOCK_WEIGHTS;
+    
+    return blocks.map(block => {
+        const factors = {
+            host: block.host !== main.host ? 1 : 0,
+            path: block.pathPrefix !== main.pathPrefix ? 1 : 0,
+            pattern: block.pattern !== main.pattern ? 1 : 0,
+            duration: block.duration <= config.AD_BLOCK_MAX_DURATION ? 1 : 0,
+            count: block.segments.length * 10 <= main.segments.length ? 1 : 0
+        };
+        
+        const isMain = block === main;
+        const score = isMain ? 0 : Object.keys(factors)
+            .reduce((sum, name) => sum + factors[name] * (weights[name] || 0), 0);
+        
+        return {
+            ...block,
+            isMain,
+            factors,
+            score,
+            isAd: !isMain && score >= config.AD_BLOCK_THRESHOLD
+        };
+    });
+}
+
+/**
+ * 正片块：总时长最长的块
+ */
+function findMainBlock(blocks) {
+    return blocks.reduce((longest, block) => block.duration > longest.duration ? block : longest);
+}
+
+/**
+ * 按不连续标记把片段分块，并提取每块的主流域名、路径前缀和文件名模式
+ */
+function groupDiscontinuityBlocks(segments) {
+    const groups = [];
+    for (const segment of segments) {
+        if (groups.length === 0 || (segment.hasDiscontinuity && groups[groups.length - 1].length > 0)) {
+            groups.push([]);
+        }
+        groups[groups.length - 1].push(segment);
+    }
+    
+    return groups.map((group, index) => {
+        const locations = group.map(segment => describeSegmentUrl(segment.url));
+        return {
+            index,
+            segments: group,
+            duration: group.reduce((sum, segment) => sum + segment.duration, 0),
+            host: mostCommon(locations.map(location => location.host)),
+            pathPrefix: mostCommon(locations.map(location => location.pathPrefix)),
+            pattern: mostCommon(locations.map(location => location.pattern))
+        };
+    });
+}
+
+/**
+ * 拆出分片URL的域名、目录和文件名模式（数字串、长十六进制串归一化）
+ */
+function describeSegmentUrl(url) {
+    let host = '';
+    let pathname = url.split('?')[0];
+    try {
+        const parsedUrl = new URL(url);
+        host = parsedUrl.host;
+        pathname = parsedUrl.pathname;
+    } catch (e) {
+        // 非法URL按路径处理
+    }
+    
+    const slash = pathname.lastIndexOf('/');
+    const filename = pathname.slice(slash + 1).toLowerCase();
+    
+    return {
+        host,
+        pathPrefix: pathname.slice(0, slash + 1),
+        pattern: filename.replace(/[0-9a-f]{8,}/g, 'H').replace(/\d+/g, 'N')
+    };
+}
+
+/**
+ * 取出现次数最多的值
+ */
+function mostCommon(values) {
+    const counts = new Map();
+    let best = values[0];
+    for (const value of values) {
+        counts.set(value, (counts.get(value) || 0) + 1);
+        if (counts.get(value) > counts.get(best)) best = value;
+    }
+    return best;
+}
+
+/**
+ * 按块决策：广告块整体移除，其余片段全部保留
+ */
+function applyBlockDecision(segments, blocks, overrides) {
+    const adIndexes = new Set();
+    for (const block of blocks) {
+        if (block.isAd) {
+            block.segments.forEach(segment => adIndexes.add(segment.index));
+        }
+    }
+    
+    // 人工反馈和直播历史决策优先于块得分
+    return segments.filter(segment => overrides.has(segment.index)
+        ? !isOverriddenDrop(overrides, segment)
+        : !adIndexes.has(segment.index));
+}
+
+/**
+ * 片段是否被人工反馈或直播历史决策移除
+ */
+function isOverriddenDrop(overrides, segment) {
+    const override = overrides.get(segment.index);
+    return Boolean(override) && override.decision === 'drop';
+}
+
+/**
+ * 把人工反馈换算成片段决策（序号 -> { decision: keep/drop, rule }），允许的分片同时从规则命中中移除
+ * 块序号按规则过滤后剩余分片分块计算，与 explain 报告一致
+ */
+function resolveFeedback(feedback, allSegments, matchedRules) {
+    const overrides = new Map();
+    const withoutFragment = url => url.split('#')[0];
+    const allowedUrls = new Set(feedback.allow.segments.map(withoutFragment));
+    const deniedUrls = new Set(feedback.deny.segments.map(withoutFragment));
+    
+    for (const segment of allSegments) {
+        if (allowedUrls.has(withoutFragment(segment.url))) {
+            matchedRules.delete(segment.index);
+            overrides.set(segment.index, { decision: 'keep', rule: 'feedback' });
+        } else if (deniedUrls.has(withoutFragment(segment.url))) {
+            overrides.set(segment.index, { decision: 'drop', rule: 'feedback' });
+        }
+    }
+    
+    const blocks = groupDiscontinuityBlocks(allSegments.filter(segment => !matchedRules.has(segment.index)));
+    for (const [decision, list] of [['keep', feedback.allow.blocks], ['drop', feedback.deny.blocks]]) {
+        list.filter(index => blocks[index]).forEach(index => blocks[index].segments
+            .forEach(segment => overrides.has(segment.index) ||
+                overrides.set(segment.index, { decision, rule: 'feedback' })));
+    }
+    
+    return overrides;
+}
+
+/**
+ * 生成explain报告：统计量、各块得分以及每个片段的得分、决策和命中规则
+ */
+function buildFilterReport(report, config, { allSegments, matchedRules, overrides, analyzedSegments, blocks, stats, filteredSegments }) {
+    const analyzed = new Map(analyzedSegments.map(segment => [segment.index, segment]));
+    const kept = new Set(filteredSegments.map(segment => segment.index));
+    const blockOf = new Map();
+    blocks.forEach(block => block.segments.forEach(segment => blockOf.set(segment.index, block)));
+    const dynamicThreshold = stats ? getDynamicThreshold(stats, config) : null;
+    
+    if (!config.FILTER_HEURISTICS) {
+        report.mode = config.FILTER_MARKERS ? 'markers' : 'regex';
+    } else {
+        report.mode = blocks.length > 0 ? 'blocks' : 'segments';
+    }
+    report.stats = stats && { ...stats, dynamicThreshold };
+    report.blocks = blocks.map(block => ({
+        index: block.index,
+        segmentCount: block.segments.length,
+        duration: block.duration,
+        host: block.host,
+        pathPrefix: block.pathPrefix,
+        pattern: block.pattern,
+        isMain: block.isMain,
+        factors: block.factors,
+        score: block.score,
+        decision: block.isAd ? 'drop' : 'keep'
+    }));
+    
+    report.segments = allSegments.map(segment => {
+        const item = analyzed.get(segment.index);
+        const block = blockOf.get(segment.index);
+        let rule = null;
+        if (matchedRules.has(segment.index)) {
+            rule = matchedRules.get(segment.index);
+        } else if (!kept.has(segment.index)) {
+            rule = isOverriddenDrop(overrides, segment) ? overrides.get(segment.index).rule
+                : (block ? 'ad-block' : getDropRule(item, dynamicThreshold, config, overrides));
+        }
+        
+        return {
+            index: segment.index,
+            duration: segment.duration,
+            url: segment.url,
+            block: block ? block.index : null,
+            scores: item ? { ...item.factors, zScore: item.stats.zScore, adScore: item.adScore } : null,
+            decision: rule ? 'drop' : 'keep',
+            rule
+        };
+    });
+    
+    report.removed = report.segments.filter(segment => segment.rule).length;
+}
+
+// ==================== 跨播放列表广告指纹 ====================
+
+/**
+ * 计算非正片短块的指纹：去掉查询参数的分片地址序列，以及保留一位小数的时长序列
+ * 时长全部相同的序列太常见，不做时长指纹
+ */
+function getBlockFingerprints(segments, config) {
+    const blocks = groupDiscontinuityBlocks(segments);
+    if (blocks.length < 2) return [];
+    
+    const main = findMainBlock(blocks);
+    return blocks
+        .filter(block => block !== main && block.duration <= config.AD_BLOCK_MAX_DURATION)
+        .map(block => {
+            const urls = block.segments.map(segment => segment.url.split(/[?#]/)[0]);
+            const durations = block.segments.map(segment => segment.duration.toFixed(1));
+            const fingerprints = [`url:${hashString(urls.join('\n'))}`];
+            if (new Set(durations).size > 1) {
+                fingerprints.push(`duration:${hashString(durations.join(','))}`);
+            }
+            return { block, fingerprints };
+        });
+}
+
+/**
+ * 播放列表标识：正片块时长序列的哈希，同一视频的不同码率变体视为同一个播放列表
+ */
+function getPlaylistFingerprint(segments) {
+    const main = findMainBlock(groupDiscontinuityBlocks(segments));
+    return hashString(main.segments.map(segment => segment.duration.toFixed(1)).join(','));
+}
+
+/**
+ * 查询各块指纹出现过的播放列表，并记录本播放列表（只记录点播，explain 请求只查询）
+ * @return {Set} 已在 AD_FINGERPRINT_MIN_PLAYLISTS 个不同播放列表中出现的指纹
+ */
+async function trackAdFingerprints(playlist, config, ctx) {
+    const segments = parseM3U8Structure(playlist);
+    const prints = getBlockFingerprints(segments, config).flatMap(item => item.fingerprints);
+    const known = new Set();
+    if (prints.length === 0) return known;
+    
+    const playlistId = getPlaylistFingerprint(segments);
+    const record = !ctx.report && !isLivePlaylist(playlist);
+    
+    for (const fingerprint of new Set(prints)) {
+        const key = `adfp:${fingerprint}`;
+        let playlists = [];
+        try {
+            const cached = await ctx.cache.get(key);
+            playlists = cached ? JSON.parse(cached).playlists || [] : [];
+        } catch (e) {
+            console.warn('读取广告指纹失败:', e);
+        }
+        
+        // 够数之后不再写入，减少缓存写入次数
+        if (record && !playlists.includes(playlistId) && playlists.length < config.AD_FINGERPRINT_MIN_PLAYLISTS) {
+            playlists.push(playlistId);
+            await putCacheSafely(ctx, key, JSON.stringify({ playlists }), config.AD_FINGERPRINT_TTL);
+        }
+        
+        if (playlists.length >= config.AD_FINGERPRINT_MIN_PLAYLISTS) {
+            known.add(fingerprint);
+        }
+    }
+    
+    return known;
+}
+
+/**
+ * 64位字符串哈希（两个不同种子的 FNV-1a），只用于缓存键
+ */
+function hashString(text) {
+    let first = 0x811c9dc5;
+    let second = 0x9e3779b9;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        first = Math.imul(first ^ code, 0x01000193);
+        second = Math.imul(second ^ code, 0x85ebca6b);
+    }
+    return (first >>> 0).toString(16).padStart(8, '0') + (second >>> 0).toString(16).padStart(8, '0');
+}
+
+// ==================== 站点规则 ====================
+
+// 站点规则字段与配置项的对应关系
+const FILTER_RULE_FIELDS = {
+    regex: 'FILTER_REGEX',
+    durations: 'AD_DURATIONS',
+    scoreThreshold: 'AD_SCORE_THRESHOLD',
+    blockThreshold: 'AD_BLOCK_THRESHOLD',
+    minSegment: 'MIN_SEGMENT_DURATION',
+    maxBlockDuration: 'AD_BLOCK_MAX_DURATION'
+};
+
+/**
+ * 取得播放列表的过滤配置：全局配置 < 匹配的站点规则 < 请求参数
+ * @return {{config: object, rule: object|null}}
+ */
+function getFilterConfig(url, ctx) {
+    const rule = findFilterRule(url, ctx.filterRules || ctx.config.FILTER_RULES);
+    
+    return {
+        config: {
+            ...ctx.config,
+            ...(rule ? getRuleOverrides(rule, ctx.config) : {}),
+            ...ctx.filterOverrides
+        },
+        rule
+    };
+}
+
+/**
+ * 查找第一条匹配的站点规则，host 匹配域名及其子域名，pattern 为匹配完整URL的正则
+ */
+function findFilterRule(url, rules) {
+    if (!rules || rules.length === 0) return null;
+    
+    let host = '';
+    try {
+        host = new URL(url).hostname.toLowerCase();
+    } catch (e) {
+        // 非法URL只能按pattern匹配
+    }
+    
+    return rules.find(rule => {
+        if (!rule.host && !rule.pattern) return false;
+        
+        if (rule.host) {
+            const ruleHost = rule.host.toLowerCase();
+            if (host !== ruleHost && !host.endsWith(`.${ruleHost}`)) return false;
+        }
+        
+        if (rule.pattern) {
+            try {
+                if (!new RegExp(rule.pattern, 'i').test(url)) return false;
+            } catch (e) {
+                console.warn('站点规则正则无效:', rule.pattern);
+                return false;
+            }
+        }
+        
+        return true;
+    }) || null;
+}
+
+/**
+ * 把站点规则转换为配置覆盖项
+ */
+function getRuleOverrides(rule, config) {
+    const overrides = {};
+    
+    // filter: off 不过滤，smart 标记、正则加统计，markers 只按广告标记和正则，regex 只做正则
+    if (FILTER_MODES[rule.filter]) {
+        Object.assign(overrides, FILTER_MODES[rule.filter]);
+    }
+    
+    // mode: blocks 按不连续块整体移除，segments 按单个分片移除
+    if (rule.mode) {
+        overrides.AD_BLOCK_DETECTION = rule.mode === 'blocks';
+    }
+    
+    if (rule.threshold !== undefined) {
+        overrides.AD_SCORE_THRESHOLD = rule.threshold;
+        overrides.AD_BLOCK_THRESHOLD = rule.threshold;
+    }
+    
+    for (const field of Object.keys(FILTER_RULE_FIELDS)) {
+        if (rule[field] !== undefined) {
+            overrides[FILTER_RULE_FIELDS[field]] = rule[field];
+        }
+    }
+    
+    if (rule.weights) {
+        overrides.AD_BLOCK_WEIGHTS = { ...config.AD_BLOCK_WEIGHTS, ...rule.weights };
+    }
+    if (rule.segmentWeights) {
+        overrides.AD_SEGMENT_WEIGHTS = { ...config.AD_SEGMENT_WEIGHTS, ...rule.segmentWeights };
+    }
+    
+    return overrides;
+}
+
+/**
+ * 完美重建M3U8
+ */
+function rebuildM3U8(playlist, segments, config) {
+    // 广告标记已经处理过，不再交给播放器
+    if (config.FILTER_MARKERS) {
+        stripAdMarkers(playlist, config);
+    }
+    
+    // 被移除片段上的密钥、初始化段等状态会带到下一个保留片段
+    const keptSegments = new Set(segments.map(segment => segment.segment));
+    retainSegments(playlist, segment => keptSegments.has(segment));
+    
+    // 更新关键头部信息
+    updateM3U8Headers(playlist, segments);
+    
+    return playlist;
+}
+
+/**
+ * 更新M3U8头部信息
+ * MEDIA-SEQUENCE 和 DISCONTINUITY-SEQUENCE 不在这里改：点播沿用上游的值，直播由 updateStreamState() 跨刷新计算
+ */
+function updateM3U8Headers(playlist, segments) {
+    if (segments.length === 0) return;
+    
+    // 更新TARGETDURATION
+    const maxDuration = Math.max(...segments.map(s => s.duration));
+    const targetDuration = getTag(playlist.tags, 'EXT-X-TARGETDURATION');
+    if (targetDuration) {
+        targetDuration.value = String(Math.ceil(maxDuration));
+    }
+}
+
+
+/**
+ * Check if a content type header declares an M3U8 playlist
+ */
+function isM3u8ContentType(contentType) {
+  const type = (contentType || '').toLowerCase();
+  return type.includes('application/vnd.apple.mpegurl') || type.includes('application/x-mpegurl');
+}
+
+/**
+ * Check if a content type header declares audio, video or an image
+ */
+function isMediaContentType(contentType) {
+  const type = (contentType || '').toLowerCase();
+  return MEDIA_CONTENT_TYPES.some(mediaType => type.startsWith(mediaType));
+}
+
+/**
+ * Sniff the type of a body from its first bytes: an M3U8 playlist, MPEG-TS, (fragmented) MP4
+ * and other common audio/video/image signatures. Returns a content type or null.
+ */
+export function sniffContentType(bytes) {
+  const startsWith = (signature, offset = 0) => signature.length + offset <= bytes.length &&
+    signature.every((byte, index) => byte === null || bytes[offset + index] === byte);
+  const ascii = text => [...text].map(char => char.charCodeAt(0));
+  
+  // Playlists may start with a BOM or blank lines
+  let start = startsWith([0xEF, 0xBB, 0xBF]) ? 3 : 0;
+  while (start < bytes.length && [0x09, 0x0A, 0x0D, 0x20].includes(bytes[start])) start++;
+  if (startsWith(ascii('#EXTM3U'), start)) return 'application/vnd.apple.mpegurl';
+  
+  if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+  if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+  if (startsWith(ascii('GIF87a')) || startsWith(ascii('GIF89a'))) return 'image/gif';
+  if (startsWith(ascii('RIFF')) && startsWith(ascii('WEBP'), 8)) return 'image/webp';
+  
+  // MPEG-TS packets are 188 bytes long and each starts with the sync byte 0x47
+  if (bytes[0] === 0x47 && bytes.length >= 188 && (bytes.length === 188 || bytes[188] === 0x47)) {
+    return 'video/mp2t';
+  }
+  if (['ftyp', 'styp', 'moof', 'moov'].some(box => startsWith(ascii(box), 4))) return 'video/mp4';
+  
+  if (startsWith([0x1A, 0x45, 0xDF, 0xA3])) return 'video/webm';
+  if (startsWith(ascii('FLV'))) return 'video/x-flv';
+  if (startsWith(ascii('ID3'))) return 'audio/mpeg';
+  if (startsWith(ascii('OggS'))) return 'audio/ogg';
+  if (startsWith(ascii('fLaC'))) return 'audio/flac';
+  if (startsWith(ascii('RIFF')) && startsWith(ascii('WAVE'), 8)) return 'audio/wav';
+  if (bytes[0] === 0xFF && (bytes[1] & 0xF6) === 0xF0) return 'audio/aac';
+  
+  return null;
+}
+
+/**
+ * Decide whether a response is a playlist, a media file or something else from its
+ * headers and first PROBE_SIZE bytes. Playlists are read whole, the download of
+ * anything else is cancelled after the probe.
+ * Returns { type: 'playlist' | 'media' | 'other', content }
+ */
+async function probeContent(response) {
+  const contentType = response.headers.get('Content-Type') || '';
+  if (isM3u8ContentType(contentType)) {
+    return { type: 'playlist', content: await response.text() };
+  }
+  
+  const body = await readBodyPrefix(response, PROBE_SIZE);
+  const sniffed = sniffContentType(body.head);
+  if (sniffed === 'application/vnd.apple.mpegurl') {
+    return { type: 'playlist', content: new TextDecoder().decode(await body.readAll()) };
+  }
+  
+  await body.cancel();
+  return { type: sniffed || isMediaContentType(contentType) ? 'media' : 'other', content: null };
+}
+
+/**
+ * Read up to maxBytes from the start of a response body.
+ * Returns { head, readAll(), cancel() }; bodies without a stream reader are read whole.
+ */
+async function readBodyPrefix(response, maxBytes) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    const bytes = new TextEncoder().encode(await response.text());
+    return { head: bytes.subarray(0, maxBytes), readAll: async () => bytes, cancel: async () => {} };
+  }
+  
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  let done = false;
+  while (!done && size < maxBytes) {
+    const result = await reader.read();
+    done = result.done;
+    if (!done) {
+      chunks.push(result.value);
+      size += result.value.length;
+    }
+  }
+  
+  return {
+    head: concatBytes(chunks).subarray(0, maxBytes),
+    async readAll() {
+      while (!done) {
+        const result = await reader.read();
+        done = result.done;
+        if (!done) chunks.push(result.value);
+      }
+      return concatBytes(chunks);
+    },
+    async cancel() {
+      if (!done) await reader.cancel();
+    }
+  };
+}
+
+/**
+ * Join byte chunks into one Uint8Array
+ */
+function concatBytes(chunks) {
+  const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return bytes;
+}
+
+/**
+ * Drop the body of a response that will not be read
+ */
+async function discardBody(response) {
+  if (response.body && typeof response.body.cancel === 'function') {
+    await response.body.cancel();
+  }
+}
+
+/**
+ * Extract variant selection preferences from request query parameters
+ */
+function getVariantPreferences(url) {
+  const preferences = {};
+  
+  const quality = (url.searchParams.get('quality') || '').toLowerCase();
+  if (quality === 'best' || quality === 'worst') {
+    preferences.quality = quality;
+  }
+  
+  const maxBandwidth = parseInt(url.searchParams.get('maxBandwidth'), 10);
+  if (maxBandwidth > 0) {
+    preferences.maxBandwidth = maxBandwidth;
+  }
+  
+  const resolution = (url.searchParams.get('resolution') || '').toLowerCase();
+  if (/^\d+x\d+$/.test(resolution)) {
+    preferences.resolution = resolution;
+  }
+  
+  const codecs = (url.searchParams.get('codecs') || '').toLowerCase().replace(/\s+/g, '');
+  if (codecs) {
+    preferences.codecs = codecs;
+  }
+  
+  return preferences;
+}
+
+/**
+ * Extract per-request filter overrides from query parameters.
+ * Returns { overrides, query } where query is the normalized parameter string used
+ * in cache keys and child playlist URLs, or { error } for invalid values.
+ */
+function getFilterOptions(url) {
+  const params = url.searchParams;
+  const overrides = {};
+  const normalized = new URLSearchParams();
+  
+  if (params.has('filter')) {
+    const filter = params.get('filter').toLowerCase();
+    if (!FILTER_MODES[filter]) {
+      return { error: "Invalid 'filter' parameter, expected off, smart, markers or regex" };
+    }
+    Object.assign(overrides, FILTER_MODES[filter]);
+    normalized.set('filter', filter);
+  }
+  
+  if (params.has('regex')) {
+    const regex = params.get('regex');
+    const error = validateFilterRegex(regex);
+    if (error) return { error };
+    
+    overrides.FILTER_REGEX = regex || null;
+    normalized.set('regex', regex);
+  }
+  
+  if (params.has('threshold')) {
+    const threshold = Number(params.get('threshold'));
+    if (!(threshold >= 0.1 && threshold <= 1)) {
+      return { error: "Invalid 'threshold' parameter, expected a number between 0.1 and 1" };
+    }
+    overrides.AD_SCORE_THRESHOLD = threshold;
+    overrides.AD_BLOCK_THRESHOLD = threshold;
+    normalized.set('threshold', String(threshold));
+  }
+  
+  if (params.has('minSegment')) {
+    const minSegment = Number(params.get('minSegment'));
+    if (!(minSegment >= 0 && minSegment <= 10)) {
+      return { error: "Invalid 'minSegment' parameter, expected seconds between 0 and 10" };
+    }
+    overrides.MIN_SEGMENT_DURATION = minSegment;
+    normalized.set('minSegment', String(minSegment));
+  }
+  
+  return { overrides, query: normalized.toString() };
+}
+
+/**
+ * Check a caller-supplied filter regex, returns an error message or null.
+ * Patterns are short and may not quantify groups or use backreferences, the usual
+ * ingredients of catastrophic backtracking. Chained quantifiers backtrack polynomially
+ * as well (`.*.*.*.*.*.*.*.*.*.*!` runs for minutes on a segment URL), so at most one
+ * unbounded quantifier is allowed and the bounded ones are capped.
+ */
+function validateFilterRegex(regex) {
+  if (regex.length > FILTER_REGEX_MAX_LENGTH) {
+    return `Invalid 'regex' parameter, longer than ${FILTER_REGEX_MAX_LENGTH} characters`;
+  }
+  
+  try {
+    new RegExp(regex, 'i');
+  } catch (e) {
+    return `Invalid 'regex' parameter: ${e.message}`;
+  }
+  
+  // Drop escaped characters and character classes before looking at the structure
+  const structure = regex.replace(/\\./g, '').replace(/\[[^\]]*\]/g, '');
+  if (/\)\s*(?:[*+?]|\{\d)/.test(structure)) {
+    return "Invalid 'regex' parameter, quantified groups are not allowed";
+  }
+  if (/\\[1-9]|\\k</.test(regex)) {
+    return "Invalid 'regex' parameter, backreferences are not allowed";
+  }
+  
+  // Group prefixes like (?: and (?<name> are not quantifiers, lazy markers add nothing
+  const quantifiers = (structure.replace(/\(\?(?:<?[=!]|<[^>]*>|:)?/g, '(')
+    .match(/(?:[*+?]|\{\d+(?:,\d*)?\})\??/g) || [])
+    .map(quantifier => quantifier.replace(/\?$/, '') || '?');
+  
+  const unbounded = quantifiers.filter(quantifier => /^(?:[*+]|\{\d+,\})$/.test(quantifier));
+  if (unbounded.length > 1) {
+    return "Invalid 'regex' parameter, at most one unbounded quantifier (*, +, {n,}) is allowed";
+  }
+  
+  const repetitions = quantifiers.reduce((product, quantifier) => {
+    const range = quantifier.match(/^\{(\d+),(\d+)\}$/);
+    if (range) return product * (Number(range[2]) - Number(range[1]) + 1);
+    return quantifier === '?' ? product * 2 : product;
+  }, 1);
+  if (repetitions > FILTER_REGEX_MAX_REPETITIONS) {
+    return "Invalid 'regex' parameter, too many optional or counted repetitions";
+  }
+  
+  return null;
+}
+
+/**
+ * Serialize variant preferences for use in cache keys
+ */
+function serializeVariantPreferences(preferences) {
+  return Object.keys(preferences)
+    .sort()
+    .map(key => `${key}=${preferences[key]}`)
+    .join('&');
+}
+
+/**
+ * Parse the variant streams of a master playlist
+ */
+function parseMasterVariants(playlist) {
+  return playlist.variants.map(stream => {
+    const info = getTag(stream.tags, 'EXT-X-STREAM-INF');
+    const attributes = (info && info.attributes) || {};
+    const resolution = (attributes.RESOLUTION || '').match(/^(\d+)x(\d+)$/i);
+    
+    return {
+      stream,
+      info,
+      url: stream.uri,
+      bandwidth: parseInt(attributes.BANDWIDTH, 10) || 0,
+      width: resolution ? parseInt(resolution[1], 10) : 0,
+      height: resolution ? parseInt(resolution[2], 10) : 0,
+      codecs: (attributes.CODECS || '').toLowerCase()
+    };
+  });
+}
+
+/**
+ * Select the variant that best matches the preferences, falling back to the nearest match
+ */
+function selectVariant(variants, preferences) {
+  if (variants.length === 0) return null;
+  
+  let candidates = variants;
+  
+  // Keep variants carrying every requested codec, if any do
+  if (preferences.codecs) {
+    const wanted = preferences.codecs.split(',').filter(Boolean);
+    const matching = candidates.filter(variant => {
+      const available = variant.codecs.split(',').map(codec => codec.trim());
+      return wanted.every(codec => available.some(item => item.startsWith(codec)));
+    });
+    if (matching.length > 0) candidates = matching;
+  }
+  
+  // Stay under the bandwidth cap, or take the lowest variant when none fits
+  if (preferences.maxBandwidth) {
+    const fitting = candidates.filter(variant => variant.bandwidth <= preferences.maxBandwidth);
+    if (fitting.length === 0) {
+      return candidates.reduce((low, variant) => variant.bandwidth < low.bandwidth ? variant : low);
+    }
+    candidates = fitting;
+  }
+  
+  // Take the closest resolution
+  if (preferences.resolution) {
+    const [width, height] = preferences.resolution.split('x').map(Number);
+    const target = width * height;
+    const distance = variant => Math.abs(variant.width * variant.height - target);
+    const closest = Math.min(...candidates.map(distance));
+    candidates = candidates.filter(variant => distance(variant) === closest);
+  }
+  
+  if (preferences.quality === 'worst') {
+    return candidates.reduce((low, variant) => variant.bandwidth < low.bandwidth ? variant : low);
+  }
+  
+  if (preferences.quality === 'best' || preferences.maxBandwidth || preferences.resolution) {
+    return candidates.reduce((high, variant) => variant.bandwidth > high.bandwidth ? variant : high);
+  }
+  
+  return candidates[0];
+}
+
+/**
+ * Order variants for failover: the one selectVariant() picks, then redundant streams with
+ * the same bandwidth and resolution, then the rest by distance in bandwidth (lower first on ties)
+ */
+function orderVariants(variants, preferences) {
+  const selected = selectVariant(variants, preferences);
+  if (!selected) return [];
+  
+  const isRedundant = variant => variant.bandwidth === selected.bandwidth &&
+    variant.width === selected.width && variant.height === selected.height;
+  const rank = variant => [
+    isRedundant(variant) ? 0 : 1,
+    Math.abs(variant.bandwidth - selected.bandwidth),
+    variant.bandwidth
+  ];
+  
+  const rest = variants
+    .filter(variant => variant !== selected)
+    .sort((a, b) => {
+      const [rankA, rankB] = [rank(a), rank(b)];
+      return rankA[0] - rankB[0] || rankA[1] - rankB[1] || rankA[2] - rankB[2];
+    });
+  
+  return [selected, ...rest];
+}
+
+/**
+ * Extract target URLs from request, several url parameters are mirrors in order of preference.
+ * A malformed escape in the /m3u8filter/ path is answered with 400.
+ */
+function getTargetUrls(url) {
+  // Check query parameter
+  if (url.searchParams.has('url')) {
+    return [...new Set(url.searchParams.getAll('url').filter(Boolean))];
+  }
+  
+  // Check path format: /m3u8filter/URL
+  const pathMatch = url.pathname.match(/^\/m3u8filter\/(.+)/);
+  if (pathMatch && pathMatch[1]) {
+    try {
+      return [decodeURIComponent(pathMatch[1])];
+    } catch (e) {
+      const error = new Error(`Invalid URL in path: ${pathMatch[1]}`);
+      error.status = 400;
+      throw error;
+    }
+  }
+  
+  return [];
+}
+
+/**
+ * Create a standardized response
+ */
+function createResponse(body, status = 200, headers = {}) {
+  return {
+    status,
+    headers: { ...headers, "Access-Control-Allow-Origin": "*" },
+    body
+  };
+}
+
+/**
+ * Create an uncached JSON response
+ */
+function createJsonResponse(data, status = 200) {
+  return createResponse(JSON.stringify(data, null, 2), status, {
+    "Content-Type": "application/json",
+    "Cache-Control": "no-store"
+  });
+}
+
+/**
+ * Create a redirect response
+ */
+function createRedirect(location) {
+  return createResponse(null, 302, { "Location": location });
+}
+
+/**
+ * Get the cache TTL for a processed playlist.
+ * Live playlists (no ENDLIST, not VOD) are refreshed every half target duration,
+ * VOD and master playlists keep the configured TTL.
+ */
+function getPlaylistCacheTtl(content, config) {
+  if (content.includes('#EXT-X-STREAM-INF') ||
+      content.includes('#EXT-X-ENDLIST') ||
+      /#EXT-X-PLAYLIST-TYPE:\s*VOD/i.test(content)) {
+    return config.CACHE_TTL;
+  }
+  
+  const match = content.match(/#EXT-X-TARGETDURATION:\s*(\d+(?:\.\d+)?)/);
+  const targetDuration = match ? parseFloat(match[1]) : config.LIVE_DEFAULT_TARGET_DURATION;
+  
+  return Math.min(config.CACHE_TTL, Math.max(1, Math.floor(targetDuration / 2)));
+}
+
+/**
+ * Read a value the response can do without. A failed read (e.g. a key the store rejects)
+ * is logged and treated as a miss.
+ */
+async function getCacheSafely(ctx, key) {
+  try {
+    return await ctx.cache.get(key);
+  } catch (error) {
+    console.error(`[Cache] Read of ${key} failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Store a value the response does not depend on. A failed write (e.g. a KV rate limit or
+ * quota error) is logged, the request carries on.
+ */
+async function putCacheSafely(ctx, key, value, ttl) {
+  try {
+    await ctx.cache.put(key, value, ttl);
+  } catch (error) {
+    console.error(`[Cache] Write of ${key} failed: ${error.message}`);
+  }
+}
+
+/**
+ * Create an M3U8 response with proper headers, reporting the variant a master playlist
+ * was collapsed to in X-Selected-Variant
+ */
+function createM3u8Response(content, config, selectedVariant = null) {
+  const headers = {
+    "Content-Type": "application/vnd.apple.mpegurl",
+    "Cache-Control": `public, max-age=${getPlaylistCacheTtl(content, config)}`
+  };
+  if (selectedVariant) {
+    headers["X-Selected-Variant"] = selectedVariant;
+    headers["Access-Control-Expose-Headers"] = "X-Selected-Variant";
+  }
+  
+  return createResponse(content, 200, headers);
+}
+
+/**
+ * Cache key of the source record stored next to a processed playlist:
+ * { variant, playlist, feedback } with the variant a master playlist was collapsed to, the
+ * media playlist that was filtered and the version of its feedback at the time
+ */
+function getPlaylistSourceKey(cacheKey) {
+  return `source:${cacheKey}`;
+}
+
+/**
+ * Load the source record of a processed playlist, null when there is none
+ */
+async function loadPlaylistSource(cacheKey, ctx) {
+  const cached = await getCacheSafely(ctx, getPlaylistSourceKey(cacheKey));
+  try {
+    return cached ? JSON.parse(cached) : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Check that the feedback of the playlist a cached result was filtered from is unchanged
+ */
+async function isSourceCurrent(source, ctx) {
+  if (!ctx.config.ADMIN_TOKEN || !source.playlist) return true;
+  return (await getFeedbackVersion(source.playlist, ctx)) === source.feedback;
+}
+
+/**
+ * Fetch content with content type information, following up to MAX_REDIRECTS redirects.
+ * Returns { content, contentType, url } where url is the final URL, the base for relative URIs.
+ */
+async function fetchContentWithType(url, ctx) {
+  return fetchUpstream(url, ctx, async response => ({ content: await response.text() }));
+}
+
+/**
+ * Fetch an upstream URL through PROXY_URL, following up to MAX_REDIRECTS redirects, and
+ * read the final response with read(response).
+ * Returns the fields of read() plus { contentType, url } with the final URL.
+ */
+async function fetchUpstream(url, ctx, read) {
+  const { config } = ctx;
+  const visited = new Set();
+  let target = url;
+  
+  try {
+    for (;;) {
+      visited.add(target);
+      const headers = {
+        'User-Agent': getRandomUserAgent(config),
+        'Accept': '*/*',
+        'Referer': new URL(target).origin
+      };
+      
+      const { response, proxy } = await fetchWithRetries(target, headers, ctx);
+      const location = response.headers.get('Location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await discardBody(response);
+        const next = resolveUrl(target, location);
+        if (visited.has(next)) {
+          throw new Error(`Redirect loop at ${next}`);
+        }
+        if (visited.size > config.MAX_REDIRECTS) {
+          throw new Error(`More than ${config.MAX_REDIRECTS} redirects`);
+        }
+        if (config.DEBUG) console.log(`[Redirect] ${target} -> ${next}`);
+        target = next;
+        continue;
+      }
+      
+      if (!response.ok) {
+        await discardBody(response);
+        throw new Error(`HTTP error ${response.status}: ${response.statusText}`);
+      }
+      
+      const result = await read(response);
+      const contentType = response.headers.get('Content-Type') || '';
+      
+      // A platform fetch that followed redirects by itself still reports the final URL,
+      // unless the request went through a proxy
+      const finalUrl = !proxy && response.url ? response.url : target;
+      
+      return { ...result, contentType, url: finalUrl };
+    }
+  } catch (error) {
+    // Keep the status an adapter attached (504 timeouts, 413 oversized bodies)
+    const cause = isAbortError(error) ? createDeadlineError(config) : error;
+    const failure = new Error(`Failed to fetch ${url}: ${cause.message}`);
+    failure.status = cause.status;
+    throw failure;
+  }
+}
+
+/**
+ * Error answered with 504 once the request's FETCH_DEADLINE is used up
+ */
+function createDeadlineError(config) {
+  const error = new Error(`Gave up after ${config.FETCH_DEADLINE} ms`);
+  error.status = 504;
+  return error;
+}
+
+/**
+ * Check if the request's FETCH_DEADLINE is used up
+ */
+function isPastDeadline(ctx) {
+  return Boolean(ctx.deadline) && Date.now() >= ctx.deadline;
+}
+
+/**
+ * Check if a fetch or body read was stopped by its abort signal (the request's deadline)
+ */
+function isAbortError(error) {
+  return Boolean(error) && (error.name === 'TimeoutError' || error.name === 'AbortError');
+}
+
+/**
+ * Abort signal firing at the request's deadline, null without one or where the platform
+ * lacks AbortSignal.timeout()
+ */
+function getDeadlineSignal(ctx) {
+  if (!ctx.deadline || typeof AbortSignal === 'undefined' || typeof AbortSignal.timeout !== 'function') {
+    return null;
+  }
+  return AbortSignal.timeout(Math.max(0, ctx.deadline - Date.now()));
+}
+
+/**
+ * Fetch target through the proxy pool, retrying up to FETCH_RETRIES times with exponential
+ * backoff after network errors and 5xx or 429 answers. Retry-After is honored up to
+ * FETCH_RETRY_MAX_DELAY. No attempt starts past the request's deadline, and nothing is
+ * retried while another mirror or variant is left to try (ctx.fallbacks).
+ * The last attempt's response or error is what the caller sees.
+ */
+async function fetchWithRetries(target, headers, ctx) {
+  const { config } = ctx;
+  
+  for (let attempt = 0; ; attempt++) {
+    if (isPastDeadline(ctx)) {
+      throw createDeadlineError(config);
+    }
+    
+    let result = null;
+    let failure = null;
+    try {
+      result = await fetchThroughProxies(target, headers, ctx);
+    } catch (error) {
+      if (!isTransientError(error)) throw error;
+      failure = error;
+    }
+    
+    const status = result ? result.response.status : 0;
+    // With another mirror or variant left to try, fail over right away instead of retrying
+    const retryable = (failure || status >= 500 || status === 429) && !ctx.fallbacks;
+    const delay = getRetryDelay(attempt, result && result.response, config);
+    if (!retryable || attempt >= config.FETCH_RETRIES || (ctx.deadline && Date.now() + delay >= ctx.deadline)) {
+      if (failure) throw failure;
+      return result;
+    }
+    
+    if (result) await discardBody(result.response);
+    if (config.DEBUG) {
+      console.log(`[Retry] ${target} (${failure ? failure.message : `HTTP ${status}`}), attempt ${attempt + 2} in ${delay} ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Delay before the next retry: the Retry-After of the response (seconds or an HTTP date)
+ * if there is one, FETCH_RETRY_DELAY doubled per attempt otherwise, capped at FETCH_RETRY_MAX_DELAY
+ */
+function getRetryDelay(attempt, response, config) {
+  let delay = config.FETCH_RETRY_DELAY * Math.pow(2, attempt);
+  
+  const retryAfter = response ? response.headers.get('Retry-After') : null;
+  if (retryAfter) {
+    const seconds = /^\d+$/.test(retryAfter.trim())
+      ? Number(retryAfter.trim())
+      : (Date.parse(retryAfter) - Date.now()) / 1000;
+    if (!isNaN(seconds)) delay = Math.max(0, seconds * 1000);
+  }
+  
+  return Math.min(delay, config.FETCH_RETRY_MAX_DELAY);
+}
+
+// How long the working mirror of a mirror list is remembered
+const MIRROR_CACHE_TTL = 7 * 86400;
+
+/**
+ * Fetch the first working mirror of the same content. The mirror that worked is remembered
+ * in the cache and tried first next time; a mirror answering with an error or with neither
+ * a playlist nor media is skipped while others are left.
+ * Returns the fields of fetchUpstream() plus { mirror } with the mirror used.
+ */
+async function fetchFromMirrors(urls, ctx, read) {
+  if (urls.length === 1) {
+    return { ...(await fetchUpstream(urls[0], ctx, read)), mirror: urls[0] };
+  }
+  
+  const key = getMirrorKey(urls);
+  const preferred = await getCacheSafely(ctx, key);
+  const ordered = urls.includes(preferred) ? [preferred, ...urls.filter(url => url !== preferred)] : urls;
+  
+  let lastError = null;
+  for (let i = 0; i < ordered.length; i++) {
+    const mirror = ordered[i];
+    const hasNext = i < ordered.length - 1;
+    if (hasNext) ctx.fallbacks++;
+    try {
+      const result = await fetchUpstream(mirror, ctx, read);
+      if (result.type === 'other' && hasNext) {
+        if (ctx.config.DEBUG) console.log(`[Mirror] ${mirror} is neither a playlist nor media, trying the next one`);
+        continue;
+      }
+      
+      // Explain requests only look
+      if (mirror !== preferred && !ctx.report) {
+        await putCacheSafely(ctx, key, mirror, MIRROR_CACHE_TTL);
+      }
+      return { ...result, mirror };
+    } catch (error) {
+      // Out of time, report the mirror that used it up rather than the ones never fetched
+      if (isPastDeadline(ctx)) throw error;
+      if (ctx.config.DEBUG) console.log(`[Mirror] ${error.message}, trying the next one`);
+      lastError = error;
+    } finally {
+      if (hasNext) ctx.fallbacks--;
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Cache key of the working mirror of a mirror list, hashed as signed mirror URLs quickly
+ * outgrow the key size of Workers KV (512 bytes)
+ */
+function getMirrorKey(urls) {
+  return `mirror:${hashString(urls.join(' '))}`;
+}
+
+/**
+ * Fetch target through the playlist proxy pool, moving on to the next proxy on network
+ * errors and 5xx answers. The last candidate's response or error is what the caller sees.
+ * Returns { response, proxy } with the proxy used (null when fetched directly).
+ */
+async function fetchThroughProxies(target, headers, ctx) {
+  const { config } = ctx;
+  const candidates = selectProxies(getProxyPool(config, 'playlist'), config);
+  
+  for (let i = 0; i < candidates.length; i++) {
+    const proxy = candidates[i];
+    const isLast = i === candidates.length - 1;
+    
+    let response;
+    try {
+      const signal = getDeadlineSignal(ctx);
+      response = await ctx.fetch(applyProxy(target, proxy), { headers, redirect: 'manual', ...(signal ? { signal } : {}) });
+    } catch (error) {
+      // Past the deadline no other proxy gets any further
+      if (isAbortError(error)) throw createDeadlineError(config);
+      if (!isTransientError(error)) throw error;
+      reportProxyResult(proxy, config, error);
+      if (isLast) throw error;
+      if (config.DEBUG) console.log(`[Proxy pool] ${proxy ? proxy.url : 'direct'} failed, trying the next one`);
+      continue;
+    }
+    
+    if (response.status >= 500) {
+      reportProxyResult(proxy, config, new Error(`HTTP error ${response.status}`));
+      if (!isLast) {
+        await discardBody(response);
+        continue;
+      }
+    } else {
+      reportProxyResult(proxy, config);
+    }
+    
+    return { response, proxy };
+  }
+}
+
+/**
+ * Process M3U8 content from the initial URL; relative URIs resolve against baseUrl,
+ * the final URL after redirects
+ */
+async function processM3u8Content(url, content, recursionDepth = 0, ctx, preferences = {}, baseUrl = url) {
+  const playlist = parsePlaylist(content);
+  resolvePlaylistUris(playlist, baseUrl);
+  
+  // Check if this is a master playlist
+  if (playlist.master) {
+    if (ctx.config.DEBUG) console.log(`[Master playlist detected] ${url}`);
+    return await processMasterPlaylist(url, playlist, recursionDepth, ctx, preferences);
+  }
+  
+  // Process as a media playlist
+  if (ctx.config.DEBUG) console.log(`[Media playlist] ${url}`);
+  return await processMediaPlaylist(url, playlist, ctx);
+}
+
+/**
+ * Process a master playlist, either keeping the variant ladder or selecting one variant stream
+ */
+async function processMasterPlaylist(url, playlist, recursionDepth, ctx, preferences = {}) {
+  const { config } = ctx;
+  if (recursionDepth > config.MAX_RECURSION) {
+    throw new Error(`Maximum recursion depth (${config.MAX_RECURSION}) exceeded`);
+  }
+  
+  // Explicit variant preferences always collapse the master playlist
+  if (config.MASTER_PLAYLIST_MODE === 'ladder' && !serializeVariantPreferences(preferences)) {
+    if (config.DEBUG) console.log(`[Keeping variant ladder] ${url}`);
+    if (ctx.report) reportVariantLadder(playlist, ctx);
+    return rewriteMasterPlaylist(playlist, ctx);
+  }
+  
+  const variants = orderVariants(parseMasterVariants(playlist), preferences);
+  if (variants.length === 0) {
+    throw new Error('No variant stream found in master playlist');
+  }
+  
+  // Variants that failed a moment ago are tried last
+  const failed = await Promise.all(variants.map(variant => getCacheSafely(ctx, getVariantFailureKey(variant.url))));
+  const candidates = [...variants.filter((variant, i) => !failed[i]), ...variants.filter((variant, i) => failed[i])];
+  
+  let lastError = null;
+  for (let i = 0; i < candidates.length; i++) {
+    const variant = candidates[i];
+    const hasNext = i < candidates.length - 1;
+    if (hasNext) ctx.fallbacks++;
+    try {
+      const processed = await processVariant(playlist, variant, recursionDepth, ctx, preferences);
+      ctx.selectedVariant = variant.url;
+      return processed;
+    } catch (error) {
+      // Out of time: the variant may be fine, and the others would not even be fetched
+      if (isPastDeadline(ctx)) throw error;
+      if (config.DEBUG) console.log(`[Variant failed] ${variant.url}: ${error.message}`);
+      if (!ctx.report) {
+        await putCacheSafely(ctx, getVariantFailureKey(variant.url), '1', config.VARIANT_FAILURE_TTL);
+      }
+      lastError = error;
+    } finally {
+      if (hasNext) ctx.fallbacks--;
+    }
+  }
+  
+  throw lastError;
+}
+
+/**
+ * Process the selected variant of a master playlist; throws when it cannot be fetched or
+ * is not a playlist so the next variant can be tried
+ */
+async function processVariant(playlist, variant, recursionDepth, ctx, preferences) {
+  const { config } = ctx;
+  const variantUrl = variant.url;
+  
+  // Alternate audio/subtitle renditions are only reachable through a master playlist
+  const renditionTags = getRenditionTags(playlist, variant);
+  const hasRenditions = renditionTags.some(tag => tag.attributes.URI);
+  
+  // Check cache first for variant, a cached copy also proves it works
+  const cacheKey = await getPlaylistCacheKey(variantUrl, ctx, ctx.filterQuery);
+  const cachedContent = ctx.report ? null : await getCacheSafely(ctx, cacheKey);
+  
+  if (cachedContent) {
+    if (config.DEBUG) console.log(`[Cache hit] ${variantUrl}`);
+    if (hasRenditions) return buildSelectedMasterPlaylist(playlist, variant, renditionTags, ctx);
+    ctx.filteredPlaylist = variantUrl;
+    return cachedContent;
+  }
+  
+  const fetched = await fetchUpstream(variantUrl, ctx, probeContent);
+  if (fetched.type !== 'playlist') {
+    throw new Error(`Variant ${variantUrl} is not a playlist`);
+  }
+  
+  if (hasRenditions) {
+    if (config.DEBUG) console.log(`[Selected variant with renditions] ${variantUrl}`);
+    return buildSelectedMasterPlaylist(playlist, variant, renditionTags, ctx);
+  }
+  
+  // Recursively process the variant stream
+  if (config.DEBUG) console.log(`[Selected variant] ${variantUrl}`);
+  const processed = await processM3u8Content(
+    variantUrl, fetched.content, recursionDepth + 1, ctx, preferences, fetched.url
+  );
+  
+  // Cache the variant result
+  if (!ctx.report) {
+    await putCacheSafely(ctx, cacheKey, processed, getPlaylistCacheTtl(processed, config));
+  }
+  
+  return processed;
+}
+
+/**
+ * Cache key marking a variant that failed recently
+ */
+function getVariantFailureKey(variantUrl) {
+  return `variant-failed:${variantUrl}`;
+}
+
+/**
+ * Rewrite a master playlist so every variant and rendition is fetched back through this filter
+ */
+function rewriteMasterPlaylist(playlist, ctx) {
+  proxyPlaylistUris(playlist, ctx);
+  return serializePlaylist(playlist);
+}
+
+/**
+ * Explain a master playlist whose variant ladder is kept: nothing is filtered in it, so the
+ * report lists the variant and rendition playlists with the URL explaining each of them
+ */
+function reportVariantLadder(playlist, ctx) {
+  const query = [ctx.filterQuery, 'explain=1'].filter(Boolean).join('&');
+  const playlists = [];
+  mapPlaylistUris(playlist, (uri, target) => {
+    if (target === 'playlist' && /^https?:\/\//i.test(uri)) {
+      playlists.push({ url: uri, explain: proxyPlaylistUrl(uri, query) });
+    }
+    return uri;
+  });
+  
+  Object.assign(ctx.report, {
+    master: true,
+    message: 'Master playlist with its variant ladder kept, nothing is filtered here; explain one of the listed playlists',
+    playlists
+  });
+}
+
+/**
+ * Get the EXT-X-MEDIA tags of the rendition groups a variant stream refers to
+ */
+function getRenditionTags(playlist, variant) {
+  const streamAttributes = (variant.info && variant.info.attributes) || {};
+  
+  return playlist.tags.filter(tag => {
+    if (tag.name !== 'EXT-X-MEDIA' || !tag.attributes) return false;
+    
+    const type = tag.attributes.TYPE;
+    return ['AUDIO', 'VIDEO', 'SUBTITLES', 'CLOSED-CAPTIONS'].includes(type) &&
+      streamAttributes[type] !== undefined &&
+      streamAttributes[type] === tag.attributes['GROUP-ID'];
+  });
+}
+
+/**
+ * Build a master playlist holding only the selected variant and its renditions
+ */
+function buildSelectedMasterPlaylist(playlist, variant, renditionTags, ctx) {
+  // Keep playlist-wide tags
+  const globalTags = playlist.tags.filter(tag =>
+    ['EXT-X-VERSION', 'EXT-X-INDEPENDENT-SEGMENTS', 'EXT-X-START'].includes(tag.name));
+  
+  const selected = {
+    master: true,
+    tags: [...globalTags, ...renditionTags],
+    variants: [variant.stream],
+    trailingTags: []
+  };
+  
+  proxyPlaylistUris(selected, ctx);
+  return serializePlaylist(selected);
+}
+
+/**
+ * Process a media playlist: filter ads on the upstream URLs, then point segments,
+ * keys and init sections at the TS proxy
+ */
+async function processMediaPlaylist(url, playlist, ctx) {
+  const { report } = ctx;
+  const { config, rule } = getFilterConfig(url, ctx);
+  ctx.filteredPlaylist = url;
+  if (report) {
+    report.playlist = url;
+    report.rule = rule ? (rule.name || rule.host || rule.pattern) : null;
+    report.filtered = config.FILTER_ADS_INTELLIGENTLY;
+  }
+  
+  // Live streams remember decisions and numbering across refreshes, as the filters remove segments
+  const live = isLivePlaylist(playlist) && (config.FILTER_ADS_INTELLIGENTLY || config.FILTER_DISCONTINUITY);
+  const upstream = getUpstreamSequences(playlist);
+  const stateKey = ctx.filterQuery ? `stream:${url}|${hashString(ctx.filterQuery)}` : `stream:${url}`;
+  const state = live ? await loadStreamState(stateKey, upstream, ctx) : null;
+  
+  //是否智能过滤广告
+  if (config.FILTER_ADS_INTELLIGENTLY) {
+    const adFingerprints = config.AD_FINGERPRINTS ? await trackAdFingerprints(playlist, config, ctx) : null;
+    const feedback = await loadFilterFeedback(url, ctx);
+    if (report) report.feedback = feedback;
+    const liveSignals = state && getLiveSignals(state, upstream);
+    if (report && liveSignals) {
+      report.live = { remembered: liveSignals.decisions.size, history: liveSignals.history.length };
+    }
+    SuperFilterAdsFromM3U8(playlist, config, report, { adFingerprints, feedback, live: liveSignals });
+  }
+  
+  // Filter discontinuity markers if enabled
+  if (config.FILTER_DISCONTINUITY) {
+    removeSegmentTags(playlist, 'EXT-X-DISCONTINUITY');
+  }
+  
+  if (state) {
+    updateStreamState(playlist, upstream, state);
+    // Explain requests only look
+    if (!report) {
+      await saveStreamState(stateKey, state, ctx);
+    }
+  }
+  
+  // Segments renumbered by the removals keep decrypting with their upstream number
+  pinKeyIvs(playlist, upstream.sequences);
+  
+  proxyPlaylistUris(playlist, ctx);
+  return serializePlaylist(playlist);
+}
+
+// ==================== Live stream state ====================
+
+// State of a live stream survives short gaps between refreshes
+const STREAM_STATE_TTL = 6 * 3600;
+
+// Durations of kept segments remembered for the filter statistics of a live stream
+const STREAM_HISTORY_SIZE = 500;
+
+// Latest serialized state per stream key, shared by the proxy instances of this process/isolate,
+// so the cache only has to be written every STREAM_STATE_PERSIST_INTERVAL
+const streamStates = new Map();
+
+// Streams whose state is kept in memory, the least recently refreshed one is dropped first
+const STREAM_STATE_MEMORY_SIZE = 1000;
+
+/**
+ * Capture the upstream numbering of a media playlist before it is filtered
+ */
+function getUpstreamSequences(playlist) {
+  const mediaSequence = getSequenceTag(playlist, 'EXT-X-MEDIA-SEQUENCE');
+  return {
+    mediaSequence,
+    discontinuitySequence: getSequenceTag(playlist, 'EXT-X-DISCONTINUITY-SEQUENCE'),
+    sequences: new Map(playlist.segments.map((segment, index) => [segment, mediaSequence + index])),
+    last: mediaSequence + playlist.segments.length - 1
+  };
+}
+
+/**
+ * Load the state of a live stream, keyed by playlist URL and filter options. A new state
+ * is started on the first refresh and when the upstream restarts its numbering.
+ */
+async function loadStreamState(key, upstream, ctx) {
+  let state = null;
+  try {
+    const remembered = streamStates.get(key);
+    const cached = remembered && Date.now() - remembered.updatedAt < STREAM_STATE_TTL * 1000
+      ? remembered.value
+      : await ctx.cache.get(key);
+    state = cached ? JSON.parse(cached) : null;
+  } catch (e) {
+    console.warn(`[Stream] Ignoring unreadable state ${key}: ${e.message}`);
+  }
+  
+  if (state && upstream.mediaSequence >= state.base) {
+    return state;
+  }
+  
+  return {
+    base: upstream.mediaSequence,
+    last: null,
+    removedBefore: 0,
+    discontinuitiesBefore: upstream.discontinuitySequence,
+    removed: [],
+    discontinuities: [],
+    history: [],
+    mediaSequence: null,
+    discontinuitySequence: null
+  };
+}
+
+/**
+ * Remember the state of a live stream in memory, and in the cache when the last write is
+ * STREAM_STATE_PERSIST_INTERVAL seconds old (never when it is negative)
+ */
+async function saveStreamState(key, state, ctx) {
+  const interval = ctx.config.STREAM_STATE_PERSIST_INTERVAL;
+  const value = JSON.stringify(state);
+  const now = Date.now();
+  const remembered = streamStates.get(key);
+  const persistedAt = remembered ? remembered.persistedAt : 0;
+  const due = interval >= 0 && now - persistedAt >= interval * 1000;
+  
+  streamStates.delete(key);
+  if (streamStates.size >= STREAM_STATE_MEMORY_SIZE) {
+    streamStates.delete(streamStates.keys().next().value);
+  }
+  streamStates.set(key, { value, updatedAt: now, persistedAt: due ? now : persistedAt });
+  
+  if (due) {
+    await putCacheSafely(ctx, key, value, STREAM_STATE_TTL);
+  }
+}
+
+/**
+ * Filter signals of a live stream: the decision made for every segment an earlier refresh
+ * already served, and the durations of the segments kept so far
+ */
+function getLiveSignals(state, upstream) {
+  const removed = new Set(state.removed);
+  const decisions = new Map();
+  if (state.last !== null) {
+    for (let sequence = Math.max(state.base, upstream.mediaSequence); sequence <= state.last; sequence++) {
+      decisions.set(sequence, removed.has(sequence) ? 'drop' : 'keep');
+    }
+  }
+  
+  return { mediaSequence: upstream.mediaSequence, decisions, history: state.history };
+}
+
+/**
+ * Record what a refresh served and renumber the filtered live playlist so the numbers keep
+ * tracking upstream. A kept segment is numbered with its upstream media sequence minus the
+ * segments removed before it; its discontinuity number counts the discontinuities actually
+ * served. Segments that left the window are folded into counters, and neither number ever
+ * goes backwards.
+ */
+function updateStreamState(playlist, upstream, state) {
+  // The latest observation of a segment wins
+  const kept = new Map(playlist.segments.map(segment => [upstream.sequences.get(segment), segment]));
+  const first = playlist.segments.length > 0 ? upstream.sequences.get(playlist.segments[0]) : null;
+  const removed = new Set(state.removed);
+  const discontinuities = new Set(state.discontinuities);
+  for (let sequence = upstream.mediaSequence; sequence <= upstream.last; sequence++) {
+    const segment = kept.get(sequence);
+    if (!segment) {
+      removed.add(sequence);
+      discontinuities.delete(sequence);
+      continue;
+    }
+    
+    removed.delete(sequence);
+    if (state.last === null || sequence > state.last) {
+      state.history.push(segment.duration);
+    }
+    
+    // Whether the first segment follows a discontinuity is only known while its predecessor is listed
+    if (sequence === first && discontinuities.has(sequence)) continue;
+    if (hasTag(segment.tags, 'EXT-X-DISCONTINUITY')) {
+      discontinuities.add(sequence);
+    } else {
+      discontinuities.delete(sequence);
+    }
+  }
+  state.last = state.last === null ? upstream.last : Math.max(state.last, upstream.last);
+  state.history = state.history.slice(-STREAM_HISTORY_SIZE);
+  
+  // Fold segments that left the window into the counters
+  if (upstream.mediaSequence > state.base) {
+    state.removedBefore += [...removed].filter(sequence => sequence < upstream.mediaSequence).length;
+    state.discontinuitiesBefore += [...discontinuities].filter(sequence => sequence < upstream.mediaSequence).length;
+    state.base = upstream.mediaSequence;
+  }
+  state.removed = [...removed].filter(sequence => sequence >= state.base).sort((a, b) => a - b);
+  state.discontinuities = [...discontinuities].filter(sequence => sequence >= state.base).sort((a, b) => a - b);
+  
+  if (first === null) return;
+  
+  const mediaSequence = first - state.removedBefore - state.removed.filter(sequence => sequence < first).length;
+  const discontinuityNumber = state.discontinuitiesBefore +
+    state.discontinuities.filter(sequence => sequence <= first).length;
+  const discontinuitySequence = discontinuityNumber -
+    (hasTag(playlist.segments[0].tags, 'EXT-X-DISCONTINUITY') ? 1 : 0);
+  
+  state.mediaSequence = state.mediaSequence === null ? mediaSequence : Math.max(mediaSequence, state.mediaSequence);
+  state.discontinuitySequence = state.discontinuitySequence === null
+    ? discontinuitySequence
+    : Math.max(discontinuitySequence, state.discontinuitySequence);
+  setPlaylistTag(playlist, 'EXT-X-MEDIA-SEQUENCE', state.mediaSequence);
+  if (state.discontinuitySequence > 0 || hasTag(playlist.tags, 'EXT-X-DISCONTINUITY-SEQUENCE')) {
+    setPlaylistTag(playlist, 'EXT-X-DISCONTINUITY-SEQUENCE', state.discontinuitySequence);
+  }
+}
+
+/**
+ * Apply TS proxy to a URL
+ */
+export function proxyTsUrl(url, config) {
+  if (config.TS_RELAY) {
+    return `${config.TS_RELAY_PATH}${encodeURIComponent(url)}`;
+  }
+  
+  // Segments are fetched by the player, spread them over the healthy proxies of the pool
+  const [proxy] = selectProxies(getProxyPool(config, 'segment'), config);
+  return applyProxy(url, proxy);
+}
+
+/**
+ * Route a playlist URL back through the filter endpoint
+ */
+function proxyPlaylistUrl(url, query = '') {
+  return `/m3u8filter/${encodeURIComponent(url)}${query ? `?${query}` : ''}`;
+}
+
+/**
+ * Get a random user agent from the configured list
+ */
+export function getRandomUserAgent(config) {
+  return config.USER_AGENTS[Math.floor(Math.random() * config.USER_AGENTS.length)];
+}
+
+/**
+ * Extract the base URL from a full URL
+ */
+function getBaseUrl(url) {
+  try {
+    const parsedUrl = new URL(url);
+    const pathParts = parsedUrl.pathname.split('/');
+    pathParts.pop(); // Remove the last part (filename)
+    
+    return `${parsedUrl.origin}${pathParts.join('/')}/`;
+  } catch (e) {
+    // Fallback: find the last slash
+    const lastSlashIndex = url.lastIndexOf('/');
+    return lastSlashIndex > 8 ? url.substring(0, lastSlashIndex + 1) : url;
+  }
+}
+
+/**
+ * Resolve a relative URL against a base URL
+ */
+export function resolveUrl(baseUrl, relativeUrl) {
+  // Already absolute URL
+  if (relativeUrl.match(/^https?:\/\//i)) {
+    return relativeUrl;
+  }
+  
+  try {
+    return new URL(relativeUrl, baseUrl).toString();
+  } catch (e) {
+    // Simple fallback
+    if (relativeUrl.startsWith('/')) {
+      const urlObj = new URL(baseUrl);
+      return `${urlObj.origin}${relativeUrl}`;
+    }
+    return `${baseUrl}${relativeUrl}`;
+  }
+}
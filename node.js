@@ -2,18 +2,22 @@
 node.js m3u8过滤代理脚本，未测试
 Usage:
 Install Node.js (v14+ recommended)
-Save the script as m3u8-proxy.js
+Save the script as m3u8-proxy.js, with m3u8-core.mjs in the same directory
 Run with: node m3u8-proxy.js
 Access via:
 http://localhost:8000/?url=[M3U8_URL]
 http://localhost:8000/m3u8filter/[M3U8_URL]
+Segments, keys and init sections are streamed through the built-in relay at http://localhost:8000/ts/[ENCODED_URL]
+unless TS_RELAY is disabled, in which case PROXY_TS is used instead. The relay strips fake image headers
+from disguised TS/fMP4 segments (UNWRAP_SEGMENTS, per host through UNWRAP_HOSTS).
 The server will cache processed playlists in the m3u8files/ directory and automatically clean up expired files. All configuration options are at the top of the script for easy customization.
+Playlist processing is shared with the other JavaScript entrypoints through m3u8-core.mjs.
 */
 const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const url = require('url');
+const zlib = require('zlib');
 
 // ========== Configuration ==========
 const CONFIG = {
@@ -23,37 +27,54 @@ const CONFIG = {
   
   PROXY_TS: 'https://proxy.mengze.vip/proxy/',     // TS segment proxy URL
   PROXY_TS_URLENCODE: true,                        // Whether to encode TS URLs
+
+  PROXY_POOL: [],                                  // Playlist proxies { url, urlencode, weight }, replaces PROXY_URL when set
+  PROXY_TS_POOL: [],                               // Segment proxies { url, urlencode, weight }, also used by the relay
+  PROXY_POOL_STRATEGY: 'round-robin',              // 'round-robin' or 'weighted' (random, proportional to weight)
+  PROXY_POOL_MAX_FAILURES: 3,                      // Consecutive failures that take a proxy out of rotation
+  PROXY_POOL_COOLDOWN: 60,                         // Seconds an unhealthy proxy stays out of rotation
+  PROXY_POOL_DIRECT_FALLBACK: false,               // Fetch directly when every proxy failed
+
+  TS_RELAY: true,                                  // Serve segments through the built-in relay (takes precedence over PROXY_TS)
+  TS_RELAY_PATH: '/ts/',                           // Route prefix of the built-in relay
+  UNWRAP_SEGMENTS: true,                           // Strip fake PNG/JPEG/GIF headers glued in front of relayed TS/fMP4 segments
+  UNWRAP_HOSTS: {},                                // Per-host override of UNWRAP_SEGMENTS, e.g. { 'cdn.example.com': false }
+  UNWRAP_SEARCH_SIZE: 64 * 1024,                   // Bytes searched for the real payload behind an image header
   
   CACHE_DIR: 'm3u8files/',                         // Cache directory
-  CACHE_TIME: 86400,                               // Cache time in seconds (24 hours)
+  CACHE_TTL: 86400,                                // Cache time in seconds for VOD (24 hours)
+  LIVE_DEFAULT_TARGET_DURATION: 10,                // Assumed target duration of live playlists without one
   
   MAX_RECURSION: 30,                               // Max recursion depth for master playlists
+  MAX_REDIRECTS: 5,                                // Max upstream redirects followed per playlist fetch
+  FETCH_RETRIES: 2,                                // Retries of a playlist fetch after network errors, 5xx and 429 answers
+  FETCH_RETRY_DELAY: 500,                          // Delay before the first retry in milliseconds, doubled on each retry
+  FETCH_RETRY_MAX_DELAY: 10000,                    // Longest wait between retries, Retry-After included, in milliseconds
+  FETCH_DEADLINE: 30000,                           // Time budget of a request's playlist fetches in milliseconds; no retry, mirror or variant starts past it
+  FETCH_CONNECT_TIMEOUT: 5000,                     // Upstream connect timeout in milliseconds
+  FETCH_TIMEOUT: 15000,                            // Upstream total timeout per playlist fetch in milliseconds
+  MAX_PLAYLIST_SIZE: 5 * 1024 * 1024,              // Largest (decompressed) playlist accepted, in bytes
+  MASTER_PLAYLIST_MODE: 'ladder',                  // 'ladder' keeps every variant, 'select' collapses to one variant
   FILTER_DISCONTINUITY: true,                      // Whether to filter discontinuity markers
+  FILTER_ADS_INTELLIGENTLY: false,                 // Whether 智能过滤
+  FILTER_REGEX: null,
+  FILTER_RULES_URL: '',                            // JSON ad-rule subscription URL (leave empty to disable)
+  FILTER_RULES_REFRESH: 3600,                      // Subscription refresh interval in seconds
+  FILTER_RULES_TIMEOUT: 10000,                     // Time budget of a subscription fetch in milliseconds, retries included
   
   USER_AGENTS: [
     'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/97.0.4692.71 Safari/537.36',
     'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/15.2 Safari/605.1.15'
   ],
 
-  MEDIA_FILE_EXTENSIONS: [
-    // Video formats
-    '.mp4', '.webm', '.mkv', '.avi', '.mov', '.wmv', '.flv', '.f4v', '.m4v', '.3gp', '.3g2', '.ts', '.mts', '.m2ts',
-    // Audio formats
-    '.mp3', '.wav', '.ogg', '.aac', '.m4a', '.flac', '.wma', '.alac', '.aiff', '.opus',
-    // Image formats
-    '.jpg', '.jpeg', '.png', '.gif', '.webp', '.bmp', '.tiff', '.svg', '.avif', '.heic'
-  ],
+  ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',      // Token for the /admin/ routes (leave empty to disable them)
 
-  MEDIA_CONTENT_TYPES: [
-    // Video types
-    'video/', 
-    // Audio types
-    'audio/',
-    // Image types
-    'image/'
-  ]
+  DEBUG: false                                     // Enable debug logging
 };
 
+// Shared playlist core, loaded at startup
+let core = null;
+
 // ========== Helper Functions ==========
 
 /**
@@ -75,15 +96,15 @@ function cleanExpiredCache() {
 
   let count = 0;
   const files = fs.readdirSync(CONFIG.CACHE_DIR);
-  const now = Math.floor(Date.now() / 1000);
+  const now = Date.now();
 
   files.forEach(file => {
     if (file.endsWith('.m3u8')) {
       const filePath = path.join(CONFIG.CACHE_DIR, file);
       const stats = fs.statSync(filePath);
-      const mtime = Math.floor(stats.mtimeMs / 1000);
 
-      if (now - mtime > CONFIG.CACHE_TIME) {
+      // The modification time of a cache file is its expiry time
+      if (stats.mtimeMs < now) {
         fs.unlinkSync(filePath);
         count++;
       }
@@ -104,10 +125,8 @@ function getFromCache(targetUrl) {
   }
 
   const stats = fs.statSync(cacheFile);
-  const mtime = Math.floor(stats.mtimeMs / 1000);
-  const now = Math.floor(Date.now() / 1000);
 
-  if (now - mtime > CONFIG.CACHE_TIME) {
+  if (stats.mtimeMs < Date.now()) {
     cleanExpiredCache();
     return null;
   }
@@ -118,333 +137,480 @@ function getFromCache(targetUrl) {
 /**
  * Write content to cache
  */
-function writeToCache(targetUrl, content) {
+function writeToCache(targetUrl, content, ttl) {
   if (!fs.existsSync(CONFIG.CACHE_DIR)) {
     fs.mkdirSync(CONFIG.CACHE_DIR, { recursive: true });
   }
 
   const cacheFile = getCacheFilename(targetUrl);
   fs.writeFileSync(cacheFile, content, 'utf8');
+
+  // Store the expiry time as the modification time
+  const now = new Date();
+  fs.utimesSync(cacheFile, now, new Date(now.getTime() + ttl * 1000));
 }
 
 /**
- * Fetch content with type information
+ * Disk cache adapter for the shared core
  */
-function fetchContentWithType(targetUrl) {
-  return new Promise((resolve, reject) => {
-    const userAgent = CONFIG.USER_AGENTS[Math.floor(Math.random() * CONFIG.USER_AGENTS.length)];
-    let fetchUrl = targetUrl;
+const diskCache = {
+  async get(key) {
+    return getFromCache(key);
+  },
 
-    if (CONFIG.PROXY_URL) {
-      fetchUrl = CONFIG.PROXY_URL + (CONFIG.PROXY_URLENCODE ? encodeURIComponent(targetUrl) : targetUrl);
-    }
+  async put(key, value, ttl) {
+    writeToCache(key, value, ttl);
+  },
 
-    const parsedUrl = new URL(fetchUrl);
-    const options = {
-      headers: {
-        'User-Agent': userAgent,
-        'Accept': '*/*',
-        'Referer': new URL(targetUrl).origin
-      }
-    };
+  async delete(key) {
+    fs.rmSync(getCacheFilename(key), { force: true });
+  }
+};
+
+/**
+ * Create an error carrying the HTTP status the core should answer with
+ */
+function createStatusError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Get a decompression stream for a Content-Encoding, or null for identity
+ */
+function createDecoder(encoding) {
+  switch ((encoding || '').trim().toLowerCase()) {
+    case 'gzip':
+    case 'x-gzip':
+      return zlib.createGunzip();
+    case 'deflate':
+      return zlib.createInflate();
+    case 'br':
+      return zlib.createBrotliDecompress();
+    default:
+      return null;
+  }
+}
 
+/**
+ * Fetch adapter for the shared core, resolving to a Response-like object as soon as the
+ * headers arrive; the body is streamed so the core can stop after sniffing its first bytes.
+ * Redirects are returned as-is for the core to follow. Fails with a 504 error on
+ * FETCH_CONNECT_TIMEOUT / FETCH_TIMEOUT, a 413 error past MAX_PLAYLIST_SIZE and the
+ * signal's reason when init.signal aborts.
+ */
+function nodeFetch(targetUrl, init = {}) {
+  return new Promise((resolve, reject) => {
+    const parsedUrl = new URL(targetUrl);
     const protocol = parsedUrl.protocol === 'https:' ? https : http;
+    const headers = { ...init.headers, 'Accept-Encoding': 'gzip, deflate, br' };
+    let connectTimer = null;
+    let totalTimer = null;
+    let failure = null;
+
+    const fail = (err) => {
+      failure = failure || err;
+      clearTimeout(connectTimer);
+      clearTimeout(totalTimer);
+      req.destroy();
+      reject(failure);
+    };
 
-    protocol.get(fetchUrl, options, (res) => {
-      if (res.statusCode !== 200) {
-        return reject(new Error(`HTTP error ${res.statusCode}: ${res.statusMessage}`));
+    const req = protocol.get(targetUrl, { headers }, (res) => {
+      const encoding = res.headers['content-encoding'];
+      const tooLarge = () => createStatusError(
+        `Playlist larger than ${CONFIG.MAX_PLAYLIST_SIZE} bytes: ${targetUrl}`, 413
+      );
+
+      // Compressed bodies are measured after decompression
+      const decoder = createDecoder(encoding);
+      const stream = decoder ? res.pipe(decoder) : res;
+
+      // Errors surface when the body is read, keep them from going unhandled until then
+      res.on('error', () => {});
+      stream.on('error', () => {});
+
+      async function* readBody() {
+        let size = 0;
+        try {
+          for await (const chunk of stream) {
+            size += chunk.length;
+            if (size > CONFIG.MAX_PLAYLIST_SIZE) {
+              fail(tooLarge());
+              break;
+            }
+            yield chunk;
+          }
+        } catch (err) {
+          throw failure || (decoder ? createStatusError(`Invalid ${encoding} body: ${err.message}`, 502) : err);
+        } finally {
+          clearTimeout(totalTimer);
+        }
+        if (failure) throw failure;
       }
 
-      let data = '';
-      res.on('data', (chunk) => {
-        data += chunk;
+      const body = readBody();
+      const cancel = async () => {
+        clearTimeout(totalTimer);
+        req.destroy();
+        await body.return();
+      };
+
+      resolve({
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        status: res.statusCode,
+        statusText: res.statusMessage,
+        url: targetUrl,
+        headers: { get: name => res.headers[name.toLowerCase()] || null },
+        body: {
+          getReader: () => ({ read: () => body.next(), cancel }),
+          cancel
+        },
+        text: async () => {
+          if (!encoding && parseInt(res.headers['content-length'], 10) > CONFIG.MAX_PLAYLIST_SIZE) {
+            fail(tooLarge());
+            throw failure;
+          }
+          const chunks = [];
+          for await (const chunk of body) {
+            chunks.push(chunk);
+          }
+          return Buffer.concat(chunks).toString('utf8');
+        }
       });
+    });
 
-      res.on('end', () => {
-        resolve({
-          content: data,
-          contentType: res.headers['content-type'] || ''
-        });
-      });
-    }).on('error', (err) => {
-      reject(new Error(`Failed to fetch ${targetUrl}: ${err.message}`));
+    req.on('socket', (socket) => {
+      if (!socket.connecting) return;
+      connectTimer = setTimeout(() => {
+        fail(createStatusError(`Connecting to ${parsedUrl.host} timed out after ${CONFIG.FETCH_CONNECT_TIMEOUT} ms`, 504));
+      }, CONFIG.FETCH_CONNECT_TIMEOUT);
+      socket.once('connect', () => clearTimeout(connectTimer));
     });
+
+    totalTimer = setTimeout(() => {
+      fail(createStatusError(`Fetching ${targetUrl} timed out after ${CONFIG.FETCH_TIMEOUT} ms`, 504));
+    }, CONFIG.FETCH_TIMEOUT);
+
+    req.on('error', fail);
+
+    if (init.signal) {
+      const abort = () => fail(init.signal.reason);
+      if (init.signal.aborted) {
+        abort();
+      } else {
+        init.signal.addEventListener('abort', abort, { once: true });
+        req.once('close', () => init.signal.removeEventListener('abort', abort));
+      }
+    }
   });
 }
 
 /**
- * Check if content is M3U8
+ * Parse the URL of a Node request, null when the Host header or path is malformed
  */
-function isM3u8Content(content, contentType) {
-  // Check content type
-  if (contentType && (
-    contentType.includes('application/vnd.apple.mpegurl') || 
-    contentType.includes('application/x-mpegurl'))) {
-    return true;
-  }
-
-  // Check content signature
-  if (content && content.trim().startsWith('#EXTM3U')) {
-    return true;
+function parseRequestUrl(req) {
+  try {
+    return new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  } catch (e) {
+    return null;
   }
+}
 
-  return false;
+/**
+ * Convert a Node request into the Request-like object the core expects
+ */
+function toCoreRequest(req, requestUrl) {
+  return {
+    method: req.method,
+    url: requestUrl.href,
+    headers: { get: name => req.headers[name.toLowerCase()] || null },
+    text: () => readRequestBody(req)
+  };
 }
 
 /**
- * Check if URL points to a media file
+ * Read a request body as text, giving up on bodies larger than 1 MB
  */
-function isMediaFile(targetUrl, contentType) {
-  // Check content type
-  if (contentType) {
-    for (const mediaType of CONFIG.MEDIA_CONTENT_TYPES) {
-      if (contentType.toLowerCase().startsWith(mediaType)) {
-        return true;
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    req.setEncoding('utf8');
+    req.on('data', (chunk) => {
+      body += chunk;
+      if (body.length > 1024 * 1024) {
+        req.destroy();
+        reject(new Error('Request body too large'));
       }
-    }
-  }
-
-  // Check file extension
-  const targetUrlLower = targetUrl.toLowerCase();
-  for (const ext of CONFIG.MEDIA_FILE_EXTENSIONS) {
-    if (targetUrlLower.includes(ext) && 
-        (targetUrlLower.includes(`${ext}?`) || targetUrlLower.endsWith(ext))) {
-      return true;
-    }
-  }
-
-  return false;
+    });
+    req.on('end', () => resolve(body));
+    req.on('error', reject);
+  });
 }
 
 /**
- * Generate proxied TS URL
+ * Send a core result
  */
-function proxyTsUrl(targetUrl) {
-  if (!CONFIG.PROXY_TS) return targetUrl;
-  
-  return CONFIG.PROXY_TS + (CONFIG.PROXY_TS_URLENCODE ? encodeURIComponent(targetUrl) : targetUrl);
+function sendResult(res, result) {
+  res.writeHead(result.status, result.headers);
+  res.end(result.body === null ? undefined : result.body);
 }
 
 /**
- * Resolve relative URL against base URL
+ * Stream a segment, key or init section from upstream to the client
  */
-function resolveUrl(baseUrl, relativeUrl) {
-  if (/^https?:\/\//i.test(relativeUrl)) {
-    return relativeUrl;
-  }
-
+function relaySegment(req, res, segmentUrl) {
+  let parsedUrl;
   try {
-    return new URL(relativeUrl, baseUrl).toString();
+    parsedUrl = new URL(segmentUrl);
   } catch (e) {
-    // Fallback for invalid URLs
-    const parsedBase = new URL(baseUrl);
-    if (relativeUrl.startsWith('/')) {
-      return `${parsedBase.origin}${relativeUrl}`;
-    }
-    return `${baseUrl}${relativeUrl}`;
+    parsedUrl = null;
   }
-}
 
-/**
- * Modify encryption key URI
- */
-function modifyKeyUri(line, baseUrl) {
-  return line.replace(/URI="([^"]+)"/, (match, uri) => {
-    const absoluteUri = resolveUrl(baseUrl, uri);
-    return `URI="${proxyTsUrl(absoluteUri)}"`;
-  });
-}
+  if (!parsedUrl || !/^https?:$/.test(parsedUrl.protocol)) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' });
+    res.end('Invalid segment URL');
+    return;
+  }
 
-/**
- * Modify M3U8 content URLs
- */
-function modifyM3u8Urls(content, baseUrl) {
-  const lines = content.split('\n');
-  const modified = [];
-  let isNextLineMedia = false;
+  const headers = {
+    'User-Agent': core.getRandomUserAgent(CONFIG),
+    'Accept': '*/*',
+    'Referer': parsedUrl.origin
+  };
+  if (req.headers.range) {
+    headers['Range'] = req.headers.range;
+  }
 
-  for (const line of lines) {
-    const trimmed = line.trim();
+  const method = req.method === 'HEAD' ? 'HEAD' : 'GET';
+
+  // Without a segment pool the relay fetches directly, PROXY_TS only applies when TS_RELAY is off
+  const candidates = CONFIG.PROXY_TS_POOL.length > 0 ? core.selectProxies(CONFIG.PROXY_TS_POOL, CONFIG) : [null];
+  let upstreamReq = null;
+
+  const relay = (index) => {
+    const proxy = candidates[index];
+    const isLast = index === candidates.length - 1;
+    const fetchUrl = core.applyProxy(segmentUrl, proxy);
+    const protocol = new URL(fetchUrl).protocol === 'https:' ? https : http;
+
+    upstreamReq = protocol.request(fetchUrl, { method, headers }, (upstream) => {
+      // A failing proxy hands the request on to the next one in the pool
+      if (upstream.statusCode >= 500) {
+        core.reportProxyResult(proxy, CONFIG, new Error(`HTTP error ${upstream.statusCode}`));
+        if (!isLast) {
+          upstream.resume();
+          relay(index + 1);
+          return;
+        }
+      } else {
+        core.reportProxyResult(proxy, CONFIG);
+      }
 
-    if (!trimmed) {
-      modified.push(line);
-      continue;
-    }
+      const responseHeaders = { 'Access-Control-Allow-Origin': '*' };
 
-    // Handle EXT-X-MAP
-    if (trimmed.startsWith('#EXT-X-MAP:')) {
-      const modifiedLine = trimmed.replace(/URI="([^"]+)"/, (match, uri) => {
-        const absoluteUri = resolveUrl(baseUrl, uri);
-        return `URI="${proxyTsUrl(absoluteUri)}"`;
-      });
-      modified.push(modifiedLine);
-      continue;
-    }
+      // Keep redirects on the relay so the client never talks to upstream directly
+      if (upstream.statusCode >= 300 && upstream.statusCode < 400 && upstream.headers.location) {
+        upstream.resume();
+        responseHeaders['Location'] = core.proxyTsUrl(core.resolveUrl(segmentUrl, upstream.headers.location), CONFIG);
+        res.writeHead(upstream.statusCode, responseHeaders);
+        res.end();
+        return;
+      }
 
-    // Handle encryption keys
-    if (trimmed.startsWith('#EXT-X-KEY')) {
-      modified.push(modifyKeyUri(line, baseUrl));
-      continue;
-    }
+      for (const name of ['content-type', 'content-length', 'content-range', 'accept-ranges']) {
+        if (upstream.headers[name]) {
+          responseHeaders[name] = upstream.headers[name];
+        }
+      }
 
-    // Handle media segments
-    if (trimmed.startsWith('#EXTINF:')) {
-      isNextLineMedia = true;
-      modified.push(line);
-    } else if (isNextLineMedia && !trimmed.startsWith('#')) {
-      const absoluteUrl = resolveUrl(baseUrl, trimmed);
-      modified.push(proxyTsUrl(absoluteUrl));
-      isNextLineMedia = false;
-    } else {
-      modified.push(line);
-      isNextLineMedia = false;
-    }
-  }
+      // Ranges and HEAD requests refer to the upstream bytes, relay those as-is
+      if (upstream.statusCode === 200 && method === 'GET' && shouldUnwrapSegments(parsedUrl.hostname)) {
+        unwrapSegment(upstream, res, responseHeaders, segmentUrl);
+        return;
+      }
 
-  return modified.join('\n');
-}
+      res.writeHead(upstream.statusCode, responseHeaders);
+      upstream.pipe(res);
+    });
 
-/**
- * Filter discontinuity markers
- */
-function filterDiscontinuity(content) {
-  if (!CONFIG.FILTER_DISCONTINUITY) return content;
-
-  return content.split('\n')
-    .filter(line => {
-      const trimmed = line.trim();
-      return trimmed && !trimmed.startsWith('#EXT-X-DISCONTINUITY');
-    })
-    .join('\n');
+    upstreamReq.on('error', (err) => {
+      if (res.destroyed) return;
+      if (!res.headersSent) {
+        core.reportProxyResult(proxy, CONFIG, err);
+        if (!isLast) {
+          relay(index + 1);
+          return;
+        }
+      }
+
+      console.error(`Error relaying ${segmentUrl}:`, err);
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      res.writeHead(502, { 'Content-Type': 'text/plain' });
+      res.end(`Error relaying segment: ${err.message}`);
+    });
+
+    upstreamReq.end();
+  };
+
+  // Stop downloading when the player goes away
+  res.on('close', () => upstreamReq.destroy());
+
+  relay(0);
 }
 
 /**
- * Get base directory URL
+ * Check whether segments from a host are unwrapped, the most specific UNWRAP_HOSTS entry
+ * matching the host or one of its parent domains wins over UNWRAP_SEGMENTS
  */
-function getBaseDirectoryUrl(targetUrl) {
-  const parsed = new URL(targetUrl);
-  const pathParts = parsed.pathname.split('/');
-  pathParts.pop(); // Remove last part (filename)
-  parsed.pathname = pathParts.join('/') + '/';
-  return parsed.toString();
+function shouldUnwrapSegments(hostname) {
+  const host = hostname.toLowerCase();
+  const match = Object.keys(CONFIG.UNWRAP_HOSTS)
+    .filter(ruleHost => host === ruleHost.toLowerCase() || host.endsWith(`.${ruleHost.toLowerCase()}`))
+    .sort((a, b) => b.length - a.length)[0];
+
+  return match !== undefined ? Boolean(CONFIG.UNWRAP_HOSTS[match]) : CONFIG.UNWRAP_SEGMENTS;
 }
 
 /**
- * Process M3U8 URL
+ * Find a MPEG-TS or fMP4 payload hidden behind an image header.
+ * Returns { offset, contentType } or null when the bytes are not a disguised segment.
  */
-async function processM3u8Url(targetUrl, res) {
-  try {
-    // Try to get from cache
-    const cached = getFromCache(targetUrl);
-    if (cached) {
-      res.writeHead(200, {
-        'Content-Type': 'application/vnd.apple.mpegurl',
-        'Access-Control-Allow-Origin': '*'
-      });
-      res.end(cached);
-      return;
-    }
-
-    // Fetch content with type info
-    const { content, contentType } = await fetchContentWithType(targetUrl);
+function findDisguisedPayload(bytes) {
+  if (!['image/png', 'image/jpeg', 'image/gif'].includes(core.sniffContentType(bytes))) {
+    return null;
+  }
 
-    // Check if it's M3U8 content
-    if (!isM3u8Content(content, contentType)) {
-      if (isMediaFile(targetUrl, contentType)) {
-        res.writeHead(302, {
-          'Location': proxyTsUrl(targetUrl)
-        });
-        res.end();
-      } else {
-        res.writeHead(302, {
-          'Location': targetUrl
-        });
-        res.end();
-      }
-      return;
+  for (let offset = 1; offset + 8 <= bytes.length; offset++) {
+    // Several consecutive 188-byte packets, a lone 0x47 is common inside image data
+    let packets = 0;
+    while (packets < 5 && bytes[offset + packets * 188] === 0x47) packets++;
+    if (packets === 5) {
+      return { offset, contentType: 'video/mp2t' };
     }
 
-    // Process master playlist with recursion
-    let currentUrl = targetUrl;
-    let processedContent = content;
-    let recursionCount = 0;
-
-    while (processedContent.includes('#EXT-X-STREAM-INF') && recursionCount < CONFIG.MAX_RECURSION) {
-      const lines = processedContent.split('\n').filter(line => line.trim());
-      let variantUrl = '';
-
-      for (const line of lines) {
-        if (line.trim().startsWith('#EXT-X-STREAM-INF')) {
-          // Next non-comment line is the variant URL
-          const nextLine = lines[lines.indexOf(line) + 1];
-          if (nextLine && !nextLine.trim().startsWith('#')) {
-            variantUrl = resolveUrl(currentUrl, nextLine.trim());
-            break;
-          }
-        }
-      }
+    const boxSize = bytes.readUInt32BE(offset);
+    const boxType = bytes.toString('latin1', offset + 4, offset + 8);
+    if (boxSize >= 8 && ['ftyp', 'styp', 'moof'].includes(boxType)) {
+      return { offset, contentType: 'video/mp4' };
+    }
+  }
 
-      if (!variantUrl) break;
+  return null;
+}
 
-      const variantResult = await fetchContentWithType(variantUrl);
-      processedContent = variantResult.content;
-      currentUrl = variantUrl;
-      recursionCount++;
+/**
+ * Relay a segment, stripping the image header in front of a disguised TS/fMP4 payload.
+ * Buffers at most UNWRAP_SEARCH_SIZE bytes; anything else is relayed unchanged.
+ */
+function unwrapSegment(upstream, res, responseHeaders, segmentUrl) {
+  const chunks = [];
+  let size = 0;
+
+  const finish = (ended) => {
+    upstream.pause();
+    upstream.removeListener('data', onData);
+    upstream.removeListener('end', onEnd);
+
+    const head = Buffer.concat(chunks);
+    const payload = findDisguisedPayload(head);
+    if (payload) {
+      if (CONFIG.DEBUG) console.log(`[Unwrap] Stripped ${payload.offset} bytes from ${segmentUrl}`);
+      responseHeaders['content-type'] = payload.contentType;
+      if (responseHeaders['content-length']) {
+        responseHeaders['content-length'] = String(Number(responseHeaders['content-length']) - payload.offset);
+      }
+      delete responseHeaders['accept-ranges'];
     }
 
-    // Process the content
-    const baseUrl = getBaseDirectoryUrl(currentUrl);
-    const filtered = filterDiscontinuity(processedContent);
-    const modified = modifyM3u8Urls(filtered, baseUrl);
+    res.writeHead(200, responseHeaders);
+    res.write(payload ? head.subarray(payload.offset) : head);
+    if (ended) {
+      res.end();
+    } else {
+      upstream.pipe(res);
+    }
+  };
+
+  const onData = (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size < 16) return;
+
+    // Real images and plain segments are known from the first chunk
+    const head = chunks.length === 1 ? chunk : Buffer.concat(chunks);
+    if (!['image/png', 'image/jpeg', 'image/gif'].includes(core.sniffContentType(head)) ||
+        size >= CONFIG.UNWRAP_SEARCH_SIZE || findDisguisedPayload(head)) {
+      finish(false);
+    }
+  };
+  const onEnd = () => finish(true);
 
-    // Write to cache and send response
-    writeToCache(targetUrl, modified);
-    res.writeHead(200, {
-      'Content-Type': 'application/vnd.apple.mpegurl',
-      'Access-Control-Allow-Origin': '*'
-    });
-    res.end(modified);
-  } catch (error) {
-    console.error(`Error processing ${targetUrl}:`, error);
-    res.writeHead(500, { 'Content-Type': 'text/plain' });
-    res.end(`Error processing request: ${error.message}`);
-  }
+  upstream.on('data', onData);
+  upstream.on('end', onEnd);
 }
 
 /**
- * Get target URL from request
+ * Get segment URL from a relay request
  */
-function getTargetUrl(req) {
-  const parsedUrl = new URL(req.url, `http://${req.headers.host}`);
-  let targetUrl = parsedUrl.searchParams.get('url');
-
-  if (!targetUrl) {
-    const pathMatch = req.url.match(/\/m3u8filter\/(.+)/);
-    if (pathMatch && pathMatch[1]) {
-      targetUrl = decodeURIComponent(pathMatch[1]);
-    }
+function getRelayUrl(requestUrl) {
+  const pathname = requestUrl.pathname;
+  if (!CONFIG.TS_RELAY || !pathname.startsWith(CONFIG.TS_RELAY_PATH)) {
+    return null;
   }
 
-  return targetUrl;
+  try {
+    return decodeURIComponent(pathname.slice(CONFIG.TS_RELAY_PATH.length));
+  } catch (e) {
+    return '';
+  }
 }
 
 // ========== Server Setup ==========
-const server = http.createServer((req, res) => {
-  const targetUrl = getTargetUrl(req);
+// The shared core is an ES module, load it before accepting requests
+import('./m3u8-core.mjs').then((module) => {
+  core = module;
+  const proxy = core.createM3u8Proxy(CONFIG, { fetch: nodeFetch, cache: diskCache });
+
+  const handle = async (req, res) => {
+    const requestUrl = parseRequestUrl(req);
+    if (!requestUrl) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' });
+      res.end('Invalid request URL');
+      return;
+    }
 
-  if (!targetUrl) {
-    res.writeHead(400, { 'Content-Type': 'text/plain' });
-    res.end('Please provide an M3U8 URL via the "url" parameter or /m3u8filter/URL path');
-    return;
-  }
+    const relayUrl = getRelayUrl(requestUrl);
+    if (relayUrl !== null) {
+      relaySegment(req, res, relayUrl);
+      return;
+    }
 
-  processM3u8Url(targetUrl, res);
-});
+    sendResult(res, await proxy.handleRequest(toCoreRequest(req, requestUrl)));
+  };
 
-// Start the server
-server.listen(CONFIG.PORT, () => {
-  console.log(`M3U8 Proxy Server running on port ${CONFIG.PORT}`);
-  if (!fs.existsSync(CONFIG.CACHE_DIR)) {
-    fs.mkdirSync(CONFIG.CACHE_DIR, { recursive: true });
-  }
+  // An unexpected error ends this response, not the whole server
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      console.error(`Error handling ${req.url}:`, err);
+      if (res.headersSent) {
+        res.destroy(err);
+        return;
+      }
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal server error');
+    });
+  });
+
+  // Start the server
+  server.listen(CONFIG.PORT, () => {
+    console.log(`M3U8 Proxy Server running on port ${CONFIG.PORT}`);
+    if (!fs.existsSync(CONFIG.CACHE_DIR)) {
+      fs.mkdirSync(CONFIG.CACHE_DIR, { recursive: true });
+    }
+  });
 });